@@ -0,0 +1,102 @@
+const fs = require("fs");
+const path = require("path");
+const authenticateAdmin = require("./middleware/authenticateAdmin");
+const authenticateCso = require("./middleware/authenticateCso");
+const authenticateCsoOrAdmin = require("./middleware/authenticateCsoOrAdmin");
+const { ROUTE_ACCESS, ROUTE_INVENTORY } = require("./config/routeInventory");
+
+// Usage: node check_route_inventory.js
+// Fails when a registered route is missing from config/routeInventory.js,
+// when an inventory entry no longer matches a route, or when a route does
+// not run the authentication its classification requires.
+const ROUTES_DIR = path.join(__dirname, "routes");
+
+const ACCESS_MIDDLEWARE = new Map([
+  [authenticateAdmin, ROUTE_ACCESS.ADMIN],
+  [authenticateCso, ROUTE_ACCESS.CSO],
+  [authenticateCsoOrAdmin, ROUTE_ACCESS.CSO_OR_ADMIN],
+]);
+
+// Authentication a route runs, from its own handlers and from router.use
+// calls registered before it in the same router.
+function resolveAccess(stack, index) {
+  const route = stack[index].route;
+  const handlers = route.stack.map((layer) => layer.handle);
+
+  stack.slice(0, index).forEach((layer) => {
+    if (!layer.route && layer.match(route.path)) {
+      handlers.push(layer.handle);
+    }
+  });
+
+  const found = [
+    ...new Set(
+      handlers.map((handler) => ACCESS_MIDDLEWARE.get(handler)).filter(Boolean)
+    ),
+  ];
+
+  return found.length > 0 ? found : [ROUTE_ACCESS.PUBLIC];
+}
+
+function listRoutes() {
+  const routes = [];
+
+  fs.readdirSync(ROUTES_DIR)
+    .filter((file) => file.endsWith(".js"))
+    .forEach((file) => {
+      const router = require(path.join(ROUTES_DIR, file));
+
+      router.stack.forEach((layer, index) => {
+        if (!layer.route) {
+          return;
+        }
+
+        const access = resolveAccess(router.stack, index);
+
+        Object.keys(layer.route.methods).forEach((method) => {
+          routes.push({
+            key: `${method.toUpperCase()} ${layer.route.path}`,
+            file,
+            access,
+          });
+        });
+      });
+    });
+
+  return routes;
+}
+
+function checkRouteInventory() {
+  const routes = listRoutes();
+  const registered = new Set(routes.map((route) => route.key));
+  const problems = [];
+
+  routes.forEach(({ key, file, access }) => {
+    const expected = ROUTE_INVENTORY[key];
+
+    if (!expected) {
+      problems.push(`${key} (${file}) is not classified`);
+    } else if (access.length !== 1 || access[0] !== expected) {
+      problems.push(
+        `${key} (${file}) is classified ${expected} but authenticates as ${access.join(", ")}`
+      );
+    }
+  });
+
+  Object.keys(ROUTE_INVENTORY)
+    .filter((key) => !registered.has(key))
+    .forEach((key) => problems.push(`${key} is classified but not registered`));
+
+  return { total: routes.length, problems };
+}
+
+const { total, problems } = checkRouteInventory();
+
+if (problems.length > 0) {
+  problems.forEach((problem) => console.error(problem));
+  console.error(`${problems.length} route inventory problem(s)`);
+  process.exit(1);
+}
+
+console.log(`All ${total} routes are classified`);
+process.exit(0);
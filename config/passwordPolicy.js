@@ -0,0 +1,18 @@
+const BCRYPT_HASH_PATTERN = /^\$2[aby]\$\d{2}\$[./A-Za-z0-9]{53}$/;
+
+function isPasswordHash(value) {
+  return typeof value === "string" && BCRYPT_HASH_PATTERN.test(value);
+}
+
+// Accounts created before passwords were hashed still hold plaintext. They
+// are rehashed on their next login; once the plaintext report is empty, set
+// DISABLE_PLAINTEXT_PASSWORDS=true so any leftover plaintext is rejected.
+function allowsPlaintextPasswords() {
+  return process.env.DISABLE_PLAINTEXT_PASSWORDS !== "true";
+}
+
+module.exports = {
+  BCRYPT_HASH_PATTERN,
+  isPasswordHash,
+  allowsPlaintextPasswords,
+};
@@ -0,0 +1,93 @@
+const SUPER_ADMIN_ROLE = "Super Admin";
+
+const PERMISSIONS = {
+  APPROVE_LOANS: "loans:approve",
+  DISBURSE_LOANS: "loans:disburse",
+  ASSIGN_LOANS: "loans:assign",
+  MANAGE_CSOS: "csos:manage",
+  RESOLVE_REMITTANCES: "remittances:resolve",
+  MOVE_EXPENSES: "expenses:move",
+  SET_INTEREST: "interest:set",
+  MANAGE_LOAN_PRODUCTS: "loan-products:manage",
+  MANAGE_PENALTIES: "penalties:manage",
+  MANAGE_PAYMENT_ALLOCATION: "payment-allocation:manage",
+  REVERSE_PAYMENTS: "payments:reverse",
+  RESTRUCTURE_LOANS: "loans:restructure",
+  REQUEST_WRITE_OFFS: "write-offs:request",
+  APPROVE_WRITE_OFFS: "write-offs:approve",
+  MANAGE_CUSTOMERS: "customers:manage",
+  MANAGE_GUARANTORS: "guarantors:manage",
+  MANAGE_GROUP_LENDING: "group-lending:manage",
+  MANAGE_BLACKLIST: "blacklist:manage",
+  OVERRIDE_BLACKLIST: "blacklist:override",
+  // Not granted to any panel role so only Super Admins can change tiers
+  MANAGE_APPROVAL_TIERS: "approval-tiers:manage",
+  MANAGE_ADMIN_MEMBERS: "admin-members:manage",
+  // Not granted to any panel role: lockouts also cover admin sign-ins
+  MANAGE_LOGIN_LOCKOUTS: "login-lockouts:manage",
+  VIEW_AUDIT_LOGS: "audit-logs:view",
+};
+
+// Actions each AdminPanel role may perform. Read-only admin routes only
+// require a valid admin token; anything that mutates money-relevant data
+// must be listed here.
+const ROLE_PERMISSIONS = {
+  Manager: [
+    PERMISSIONS.APPROVE_LOANS,
+    PERMISSIONS.DISBURSE_LOANS,
+    PERMISSIONS.ASSIGN_LOANS,
+    PERMISSIONS.MANAGE_CSOS,
+    PERMISSIONS.RESOLVE_REMITTANCES,
+    PERMISSIONS.MOVE_EXPENSES,
+    PERMISSIONS.SET_INTEREST,
+    PERMISSIONS.MANAGE_LOAN_PRODUCTS,
+    PERMISSIONS.MANAGE_PENALTIES,
+    PERMISSIONS.MANAGE_PAYMENT_ALLOCATION,
+    PERMISSIONS.REVERSE_PAYMENTS,
+    PERMISSIONS.RESTRUCTURE_LOANS,
+    PERMISSIONS.REQUEST_WRITE_OFFS,
+    PERMISSIONS.APPROVE_WRITE_OFFS,
+    PERMISSIONS.MANAGE_CUSTOMERS,
+    PERMISSIONS.MANAGE_GUARANTORS,
+    PERMISSIONS.MANAGE_GROUP_LENDING,
+    PERMISSIONS.MANAGE_BLACKLIST,
+    PERMISSIONS.OVERRIDE_BLACKLIST,
+    PERMISSIONS.VIEW_AUDIT_LOGS,
+  ],
+  "Disbursement Officer": [PERMISSIONS.DISBURSE_LOANS],
+  "Support/Reconciliation Officer": [
+    PERMISSIONS.RESOLVE_REMITTANCES,
+    PERMISSIONS.MOVE_EXPENSES,
+    PERMISSIONS.MANAGE_PENALTIES,
+    PERMISSIONS.REVERSE_PAYMENTS,
+    PERMISSIONS.REQUEST_WRITE_OFFS,
+    PERMISSIONS.MANAGE_CUSTOMERS,
+    PERMISSIONS.MANAGE_BLACKLIST,
+  ],
+  "Agency Manager": [PERMISSIONS.APPROVE_LOANS, PERMISSIONS.ASSIGN_LOANS],
+};
+
+function roleHasPermission(role, permission) {
+  if (role === SUPER_ADMIN_ROLE) {
+    return true;
+  }
+
+  const granted = ROLE_PERMISSIONS[role] || [];
+  return granted.includes(permission);
+}
+
+function getRolePermissions(role) {
+  if (role === SUPER_ADMIN_ROLE) {
+    return Object.values(PERMISSIONS);
+  }
+
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+module.exports = {
+  SUPER_ADMIN_ROLE,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  roleHasPermission,
+  getRolePermissions,
+};
@@ -0,0 +1,215 @@
+// Who may call each endpoint, keyed by "METHOD path" as registered on the
+// router. Every route must be listed here; check_route_inventory.js fails
+// when one is missing or does not authenticate as classified.
+const ROUTE_ACCESS = {
+  PUBLIC: "public",
+  CSO: "cso",
+  ADMIN: "admin",
+  // Shared reads and uploads used by both the CSO app and the admin panel
+  CSO_OR_ADMIN: "cso-or-admin",
+};
+
+const { PUBLIC, CSO, ADMIN, CSO_OR_ADMIN } = ROUTE_ACCESS;
+
+const ROUTE_INVENTORY = {
+  // adminPanelRoutes.js
+  "POST /api/admin-members/login": PUBLIC,
+  "GET /api/admin-members/me": ADMIN,
+  "GET /api/admin-members": ADMIN,
+  "POST /api/admin-members": ADMIN,
+  "PATCH /api/admin-members/:id/suspend": ADMIN,
+  "PATCH /api/admin-members/:id/activate": ADMIN,
+  "DELETE /api/admin-members/:id": ADMIN,
+
+  // adminRoutes.js
+  "POST /api/admin/register": ADMIN,
+  "POST /api/admin/login": PUBLIC,
+  "POST /api/admin/refresh-token": PUBLIC,
+  "POST /api/admin/logout": ADMIN,
+  "POST /api/admin/logout-all": ADMIN,
+  "GET /api/admin/me": ADMIN,
+  "GET /api/admin/plaintext-passwords": ADMIN,
+
+  // approvalTierRoutes.js
+  "GET /api/admin/approval-tiers": ADMIN,
+  "PUT /api/admin/approval-tiers": ADMIN,
+
+  // auditLogRoutes.js
+  "GET /api/admin/audit-logs": ADMIN,
+  "GET /api/admin/audit-logs/:id": ADMIN,
+
+  // blacklistRoutes.js
+  "GET /api/admin/blacklist": ADMIN,
+  "POST /api/admin/blacklist": ADMIN,
+  "PATCH /api/admin/blacklist/:id/remove": ADMIN,
+  "POST /api/admin/blacklist/:id/override": ADMIN,
+
+  // branchRoutes.js
+  "POST /api/branches": ADMIN,
+  "GET /api/branches": ADMIN,
+  "DELETE /api/branches/:id": ADMIN,
+  "PATCH /api/branches/:id/targets": ADMIN,
+  "GET /api/branches/:id/metrics": ADMIN,
+  "GET /api/branches/:id/cso-metrics": ADMIN,
+  "GET /api/branches/:id/customer-metrics": ADMIN,
+
+  // businessReportRoutes.js
+  "GET /api/business-report/weekly-metrics": ADMIN,
+  "GET /api/business-report/liquidity": ADMIN,
+  "GET /api/business-report/monthly-summary": ADMIN,
+
+  // csoRoutes.js
+  "PATCH /api/csos/defaulting-target": ADMIN,
+  "POST /api/csos": ADMIN,
+  "POST /api/csos/login": PUBLIC,
+  "POST /api/csos/refresh-token": PUBLIC,
+  "POST /api/csos/logout": CSO,
+  "POST /api/csos/logout-all": CSO,
+  "POST /api/csos/forgot-password": PUBLIC,
+  "POST /api/csos/reset-password": PUBLIC,
+  "GET /api/csos": ADMIN,
+  "GET /api/admin/remittances": ADMIN,
+  "PATCH /api/admin/remittances/:remittanceId": ADMIN,
+  "GET /api/csos/collection": CSO,
+  "GET /api/csos/form-collection": CSO,
+  "GET /api/csos/me": CSO,
+  "GET /api/csos/dashboard-stats": CSO,
+  "GET /api/admin/csos/:csoId/dashboard-stats": ADMIN,
+  "GET /api/admin/csos/:csoId/outstanding-loans": ADMIN,
+  "GET /api/csos/:id": ADMIN,
+  "PATCH /api/csos/:id": ADMIN,
+  "PATCH /api/csos/:id/status": ADMIN,
+  "PATCH /api/csos/:id/transfer-branch": ADMIN,
+  "PATCH /api/csos/me/profile": CSO,
+  "PATCH /api/csos/me/signature": CSO,
+  "PATCH /api/csos/me/password": CSO,
+  "POST /api/csos/remittance": CSO,
+  "POST /api/csos/:id/resolve-remittance": ADMIN,
+  "POST /api/group-leaders": CSO,
+  "GET /api/group-leaders": ADMIN,
+  "PUT /api/group-leaders/:id/approve": ADMIN,
+  "PUT /api/group-leaders/:id": ADMIN,
+  "DELETE /api/group-leaders/:id": ADMIN,
+  "POST /api/group-leaders/:id/transfer-cso": ADMIN,
+  "GET /api/csos/:id/group-leaders": ADMIN,
+  "GET /api/csos/:id/group-leaders/performance": ADMIN,
+  "GET /api/group-leaders/my-approved": CSO,
+
+  // customerRoutes.js
+  "GET /api/customers": ADMIN,
+  "GET /api/customers/:id": ADMIN,
+  "POST /api/customers": ADMIN,
+  "PATCH /api/customers/:id": ADMIN,
+  "DELETE /api/customers/:id": ADMIN,
+
+  // expenseRoutes.js
+  "GET /api/expenses": ADMIN,
+  "POST /api/expenses": ADMIN,
+  "PATCH /api/expenses/:expenseId/move": ADMIN,
+  "GET /api/cash-at-hand": ADMIN,
+  "POST /api/cash-at-hand": ADMIN,
+
+  // groupRoutes.js
+  "GET /api/admin/groups": ADMIN,
+  "GET /api/admin/groups/:id": ADMIN,
+  "GET /api/admin/group-lending-rules": ADMIN,
+  "PUT /api/admin/group-lending-rules": ADMIN,
+
+  // guarantorRoutes.js
+  "GET /api/admin/guarantors": ADMIN,
+  "GET /api/admin/guarantors/:id": ADMIN,
+  "PATCH /api/admin/guarantors/:id": ADMIN,
+
+  // holidayRoutes.js
+  "GET /api/holidays": CSO_OR_ADMIN,
+  "POST /api/holidays": ADMIN,
+  "DELETE /api/holidays/:id": ADMIN,
+
+  // interestRoutes.js
+  "GET /api/interest": CSO_OR_ADMIN,
+  "POST /api/interest": ADMIN,
+
+  // loanProductRoutes.js
+  "GET /api/loan-products": CSO_OR_ADMIN,
+  "GET /api/loan-products/:id": CSO_OR_ADMIN,
+  "POST /api/loan-products": ADMIN,
+  "PATCH /api/loan-products/:id": ADMIN,
+  "DELETE /api/loan-products/:id": ADMIN,
+
+  // loanRoutes.js
+  "POST /api/loans": CSO,
+  "GET /api/admin/dashboard/summary-stats": ADMIN,
+  "GET /api/admin/dashboard/financial-overview": ADMIN,
+  "GET /api/admin/dashboard/target-progress": ADMIN,
+  "GET /api/admin/dashboard/disbursement-trends": ADMIN,
+  "GET /api/admin/dashboard/analytics": ADMIN,
+  "GET /api/loans/customer/:bvn/renewal": CSO,
+  "GET /api/loans/customer/:bvn": CSO,
+  "PATCH /api/loans/:id/approve": ADMIN,
+  "PATCH /api/loans/:id/call-checks": ADMIN,
+  "GET /api/admin/loans/:id/risk-checks": ADMIN,
+  "GET /api/admin/loans/customer/:bvn": ADMIN,
+  "GET /api/loans/waiting": ADMIN,
+  "GET /api/loans/approved": ADMIN,
+  "POST /api/loans/:id/payments": CSO,
+  "GET /api/loans/:id/payoff-quote": CSO,
+  "POST /api/loans/:id/payoff": CSO,
+  "POST /api/admin/loans/:id/payments/:paymentId/reverse": ADMIN,
+  "POST /api/loans/:id/restructure": ADMIN,
+  "POST /api/loans/:id/repayment/sync": ADMIN,
+  "GET /api/loans/me": CSO,
+  "GET /api/loans/cso/:csoId": ADMIN,
+  "GET /api/admin/loans": ADMIN,
+  "GET /api/admin/csos/:csoId/collection": ADMIN,
+  "GET /api/csos/loans/counts": CSO,
+  "GET /api/csos/loans/outstanding": CSO,
+  "GET /api/admin/csos/:csoId/form-collection": ADMIN,
+  "GET /api/admin/transactions/disbursements": ADMIN,
+  "GET /api/admin/transactions/collections": ADMIN,
+  "GET /api/loans/:id": CSO_OR_ADMIN,
+  "PATCH /api/loans/:id/reject": ADMIN,
+  "PATCH /api/loans/:id/request-edit": ADMIN,
+  "PATCH /api/loans/:id/cso-edit": CSO,
+  "PATCH /api/loans/:id/disburse": ADMIN,
+  "GET /api/cso-loan-metrics": ADMIN,
+  "GET /api/cso-general-report": ADMIN,
+  "GET /api/cso-weekly-loan-counts": ADMIN,
+  "GET /api/customer-loan-weekly": ADMIN,
+  "GET /api/overdue-loans": ADMIN,
+  "GET /api/admin/customers": ADMIN,
+  "GET /api/admin/customers/:bvn/loans": ADMIN,
+  "GET /api/admin/customers/:bvn/details": ADMIN,
+  "GET /api/loans/cso/:csoId/customers": ADMIN,
+  "POST /api/loans/assign-group": ADMIN,
+  "POST /api/loans/assign-cso": ADMIN,
+
+  // loginAttemptRoutes.js
+  "GET /api/admin/login-attempts": ADMIN,
+  "DELETE /api/admin/login-attempts/:id": ADMIN,
+
+  // paymentAllocationRoutes.js
+  "GET /api/admin/payment-allocation": ADMIN,
+  "PUT /api/admin/payment-allocation": ADMIN,
+
+  // penaltyRoutes.js
+  "GET /api/admin/penalty-rules": ADMIN,
+  "PUT /api/admin/penalty-rules": ADMIN,
+  "POST /api/admin/penalties/run": ADMIN,
+  "GET /api/admin/loans/:id/penalties": ADMIN,
+  "POST /api/admin/loans/:id/penalties/waive": ADMIN,
+  "POST /api/admin/loans/:id/penalties/adjust": ADMIN,
+
+  // uploadRoutes.js
+  "POST /api/fileupload/:folderName": CSO_OR_ADMIN,
+
+  // writeOffRoutes.js
+  "GET /api/admin/write-offs": ADMIN,
+  "POST /api/admin/loans/:id/write-off": ADMIN,
+  "PATCH /api/admin/loans/:id/write-off/approve": ADMIN,
+  "PATCH /api/admin/loans/:id/write-off/reject": ADMIN,
+};
+
+module.exports = {
+  ROUTE_ACCESS,
+  ROUTE_INVENTORY,
+};
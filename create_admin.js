@@ -0,0 +1,40 @@
+const mongoose = require("mongoose");
+require("dotenv").config();
+const Admin = require("./models/Admin");
+
+// Usage: node create_admin.js <email> <password>
+// Creates a Super Admin, or resets the password of an existing one.
+async function createAdmin() {
+  const [email, password] = process.argv.slice(2);
+
+  if (!email || !password) {
+    console.error("Usage: node create_admin.js <email> <password>");
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log("Connected to MongoDB");
+
+    const normalizedEmail = email.toLowerCase().trim();
+    let admin = await Admin.findOne({ email: normalizedEmail }).select(
+      "+password"
+    );
+
+    if (admin) {
+      admin.password = password;
+      await admin.save();
+      console.log(`Reset password for ${normalizedEmail}`);
+    } else {
+      admin = await Admin.create({ email: normalizedEmail, password });
+      console.log(`Created admin ${normalizedEmail}`);
+    }
+
+    process.exit();
+  } catch (err) {
+    console.error(err);
+    process.exit(1);
+  }
+}
+
+createAdmin();
@@ -6,17 +6,28 @@ const dotenv = require("dotenv");
 const connectDB = require("./config/config");
 const path = require("path");
 const { scheduleCsoDelinquencyJob } = require("./jobs/csoDelinquencyJob");
+const { schedulePenaltyJob } = require("./jobs/penaltyJob");
+const { ensureDefaultLoanProducts } = require("./services/loanProductService");
 const app = express();
 dotenv.config();
 
 connectDB()
-  .then(() => {
+  .then(async () => {
+    await ensureDefaultLoanProducts();
     scheduleCsoDelinquencyJob();
+    schedulePenaltyJob();
   })
   .catch((error) => {
     console.error("Database initialization failed:", error);
   });
 
+// Behind a load balancer, the number of proxy hops to trust so req.ip is
+// the client address that login throttling counts against
+const trustProxyHops = Number(process.env.TRUST_PROXY_HOPS);
+if (Number.isInteger(trustProxyHops) && trustProxyHops > 0) {
+  app.set("trust proxy", trustProxyHops);
+}
+
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -35,6 +46,17 @@ app.use(require("./routes/expenseRoutes"));
 app.use(require("./routes/uploadRoutes"));
 app.use(require("./routes/businessReportRoutes"));
 app.use(require("./routes/interestRoutes"));
+app.use(require("./routes/loanProductRoutes"));
+app.use(require("./routes/penaltyRoutes"));
+app.use(require("./routes/paymentAllocationRoutes"));
+app.use(require("./routes/auditLogRoutes"));
+app.use(require("./routes/writeOffRoutes"));
+app.use(require("./routes/customerRoutes"));
+app.use(require("./routes/blacklistRoutes"));
+app.use(require("./routes/approvalTierRoutes"));
+app.use(require("./routes/guarantorRoutes"));
+app.use(require("./routes/groupRoutes"));
+app.use(require("./routes/loginAttemptRoutes"));
 
 // Error handling
 app.use((err, req, res, next) => {
@@ -0,0 +1,57 @@
+const cron = require("node-cron");
+const { applyPenalties } = require("../services/penaltyService");
+
+const DEFAULT_CRON = "40 2 * * *"; // 02:40 every day
+
+function logSummary(summary) {
+  if (!summary) {
+    return;
+  }
+
+  const prefix = `[Penalty Job]`;
+
+  if (!summary.enabled) {
+    console.info(`${prefix} Penalty rules are disabled; nothing charged.`);
+    return;
+  }
+
+  console.info(
+    `${prefix} Completed for ${summary.asOf}. Charged ${summary.charged} of ${summary.processed} loans a total of ${summary.totalAmount}.`
+  );
+
+  if (Array.isArray(summary.errors) && summary.errors.length > 0) {
+    for (const error of summary.errors) {
+      console.error(`${prefix} Failed to charge loan ${error.loanId}: ${error.message}`);
+    }
+  }
+}
+
+async function runPenaltyJob(options = {}) {
+  try {
+    const summary = await applyPenalties(options);
+    logSummary(summary);
+    return summary;
+  } catch (error) {
+    console.error("[Penalty Job] Unexpected failure:", error);
+    throw error;
+  }
+}
+
+function schedulePenaltyJob() {
+  const cronExpression = process.env.PENALTY_CRON || DEFAULT_CRON;
+
+  cron.schedule(cronExpression, async () => {
+    try {
+      await runPenaltyJob();
+    } catch (error) {
+      // already logged inside runPenaltyJob
+    }
+  });
+
+  console.info(`[Penalty Job] Scheduled with cron expression "${cronExpression}"`);
+}
+
+module.exports = {
+  schedulePenaltyJob,
+  runPenaltyJob,
+};
@@ -1,6 +1,7 @@
-const jwt = require("jsonwebtoken");
 const Admin = require("../models/Admin");
-const jwtSecret = require("../config/jwtSecret");
+const AdminMember = require("../models/adminPanel");
+const { verifyAccessToken } = require("../services/sessionService");
+const { SUPER_ADMIN_ROLE } = require("../config/permissions");
 
 async function authenticateAdmin(req, res, next) {
   try {
@@ -11,7 +12,28 @@ async function authenticateAdmin(req, res, next) {
     }
 
     const token = authHeader.split(" ")[1];
-    const payload = jwt.verify(token, jwtSecret);
+    const payload = await verifyAccessToken(token);
+
+    if (!payload || payload.type === "cso") {
+      return res.status(401).json({ message: "Invalid token" });
+    }
+
+    if (payload.type === "admin-member") {
+      const member = await AdminMember.findById(payload.id).select("-password");
+
+      if (!member) {
+        return res.status(401).json({ message: "Invalid token" });
+      }
+
+      if (member.isSuspended) {
+        return res.status(403).json({ message: "Account is suspended" });
+      }
+
+      req.admin = member;
+      req.adminRole = member.assignedRole;
+      req.sessionId = payload.sid;
+      return next();
+    }
 
     const admin = await Admin.findById(payload.id);
 
@@ -20,6 +42,8 @@ async function authenticateAdmin(req, res, next) {
     }
 
     req.admin = admin;
+    req.adminRole = SUPER_ADMIN_ROLE;
+    req.sessionId = payload.sid;
     next();
   } catch (error) {
     if (
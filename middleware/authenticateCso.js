@@ -1,6 +1,5 @@
-const jwt = require("jsonwebtoken");
 const CSO = require("../models/cso");
-const jwtSecret = require("../config/jwtSecret");
+const { verifyAccessToken } = require("../services/sessionService");
 
 async function authenticateCso(req, res, next) {
   try {
@@ -11,7 +10,11 @@ async function authenticateCso(req, res, next) {
     }
 
     const token = authHeader.split(" ")[1];
-    const payload = jwt.verify(token, jwtSecret);
+    const payload = await verifyAccessToken(token);
+
+    if (payload?.type !== "cso") {
+      return res.status(401).json({ message: "Invalid token" });
+    }
 
     const cso = await CSO.findById(payload.id);
 
@@ -20,6 +23,7 @@ async function authenticateCso(req, res, next) {
     }
 
     req.cso = cso;
+    req.sessionId = payload.sid;
     next();
   } catch (error) {
     if (
@@ -0,0 +1,46 @@
+const CSO = require("../models/cso");
+const { verifyAccessToken } = require("../services/sessionService");
+const authenticateAdmin = require("./authenticateAdmin");
+
+// For endpoints both the CSO app and the admin panel call. Sets req.cso for
+// a CSO token, otherwise falls through to admin authentication.
+async function authenticateCsoOrAdmin(req, res, next) {
+  try {
+    const authHeader = req.headers.authorization;
+
+    if (!authHeader?.startsWith("Bearer ")) {
+      return res.status(401).json({ message: "Unauthorized" });
+    }
+
+    const token = authHeader.split(" ")[1];
+    const payload = await verifyAccessToken(token);
+
+    if (!payload) {
+      return res.status(401).json({ message: "Invalid token" });
+    }
+
+    if (payload.type === "cso") {
+      const cso = await CSO.findById(payload.id);
+
+      if (!cso) {
+        return res.status(401).json({ message: "Invalid token" });
+      }
+
+      req.cso = cso;
+      req.sessionId = payload.sid;
+      return next();
+    }
+
+    return authenticateAdmin(req, res, next);
+  } catch (error) {
+    if (
+      error.name === "JsonWebTokenError" ||
+      error.name === "TokenExpiredError"
+    ) {
+      return res.status(401).json({ message: "Invalid token" });
+    }
+    return res.status(500).json({ message: "Unable to authenticate" });
+  }
+}
+
+module.exports = authenticateCsoOrAdmin;
@@ -0,0 +1,18 @@
+const authenticateAdmin = require("./authenticateAdmin");
+const { roleHasPermission } = require("../config/permissions");
+
+function authorizeAdmin(permission) {
+  function checkAdminPermission(req, res, next) {
+    if (!roleHasPermission(req.adminRole, permission)) {
+      return res
+        .status(403)
+        .json({ message: "You do not have permission to perform this action" });
+    }
+
+    return next();
+  }
+
+  return [authenticateAdmin, checkAdminPermission];
+}
+
+module.exports = authorizeAdmin;
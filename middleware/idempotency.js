@@ -0,0 +1,126 @@
+const crypto = require("crypto");
+const IdempotencyKey = require("../models/IdempotencyKey");
+
+const DEFAULT_WINDOW_HOURS = 24;
+const MAX_KEY_LENGTH = 255;
+
+function getWindowMs() {
+  const hours = Number(process.env.IDEMPOTENCY_WINDOW_HOURS);
+  const safeHours =
+    Number.isFinite(hours) && hours > 0 ? hours : DEFAULT_WINDOW_HOURS;
+  return safeHours * 60 * 60 * 1000;
+}
+
+function hashRequest(body) {
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify(body || {}))
+    .digest("hex");
+}
+
+function resolveOwnerId(req) {
+  const owner = req.cso || req.admin;
+  return owner?._id ? owner._id.toString() : null;
+}
+
+/**
+ * Replays the stored response when a request is retried with the same
+ * Idempotency-Key header. Must run after the caller has been authenticated.
+ * Requests without the header are processed normally.
+ */
+async function idempotency(req, res, next) {
+  const key = req.get("Idempotency-Key");
+
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({ message: "Idempotency-Key is too long" });
+  }
+
+  const ownerId = resolveOwnerId(req);
+
+  if (!ownerId) {
+    return res.status(401).json({ message: "Unauthorized" });
+  }
+
+  const scope = `${req.method} ${req.path}`;
+  const requestHash = hashRequest(req.body);
+  const filter = { key, ownerId, scope };
+
+  try {
+    const existing = await IdempotencyKey.findOne(filter).lean();
+
+    if (existing && existing.expiresAt <= new Date()) {
+      await IdempotencyKey.deleteOne({ _id: existing._id });
+    } else if (existing) {
+      if (existing.requestHash !== requestHash) {
+        return res.status(422).json({
+          message:
+            "Idempotency-Key has already been used with a different request",
+        });
+      }
+
+      if (existing.status !== "completed") {
+        return res.status(409).json({
+          message:
+            "A request with this Idempotency-Key is still being processed",
+        });
+      }
+
+      res.set("Idempotent-Replayed", "true");
+      return res.status(existing.responseStatus).json(existing.responseBody);
+    }
+
+    await IdempotencyKey.create({
+      ...filter,
+      requestHash,
+      expiresAt: new Date(Date.now() + getWindowMs()),
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        message: "A request with this Idempotency-Key is still being processed",
+      });
+    }
+
+    return res
+      .status(500)
+      .json({ message: "Unable to process Idempotency-Key" });
+  }
+
+  let stored = false;
+  const originalJson = res.json.bind(res);
+
+  res.json = (body) => {
+    // Server errors are not replayed so the client can safely retry them
+    if (res.statusCode < 500) {
+      stored = true;
+      IdempotencyKey.updateOne(filter, {
+        $set: {
+          status: "completed",
+          responseStatus: res.statusCode,
+          // Store exactly what the client received, not live documents
+          responseBody: JSON.parse(JSON.stringify(body ?? null)),
+        },
+      }).catch((error) => {
+        console.error("Failed to store idempotent response", error);
+      });
+    }
+
+    return originalJson(body);
+  };
+
+  res.on("close", () => {
+    if (!stored) {
+      IdempotencyKey.deleteOne(filter).catch((error) => {
+        console.error("Failed to release Idempotency-Key", error);
+      });
+    }
+  });
+
+  return next();
+}
+
+module.exports = idempotency;
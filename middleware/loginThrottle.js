@@ -0,0 +1,44 @@
+const {
+  getAttemptKeys,
+  reserveAttempt,
+  releaseAttempt,
+} = require("../services/loginAttemptService");
+
+/**
+ * Brute-force protection for a sign-in endpoint. Every request counts as a
+ * failed attempt until the handler reports success through
+ * req.loginAttempts; while the account or IP is delayed or locked out the
+ * request is rejected with 429.
+ */
+function loginThrottle(action) {
+  return async function checkLoginThrottle(req, res, next) {
+    const keys = getAttemptKeys(action, req.body?.email, req.ip);
+    const reservedAt = new Date();
+
+    try {
+      const block = await reserveAttempt(keys, reservedAt);
+
+      if (block) {
+        res.set("Retry-After", String(block.retryAfter));
+        return res.status(429).json({
+          message: block.locked
+            ? "Too many failed attempts. Try again later"
+            : `Too many failed attempts. Try again in ${block.retryAfter} seconds`,
+          retryAfter: block.retryAfter,
+        });
+      }
+    } catch (error) {
+      return res
+        .status(500)
+        .json({ message: "Unable to check login attempts" });
+    }
+
+    req.loginAttempts = {
+      recordSuccess: () => releaseAttempt(keys, reservedAt),
+    };
+
+    return next();
+  };
+}
+
+module.exports = loginThrottle;
@@ -0,0 +1,35 @@
+const {
+  getAttemptKeys,
+  countRequest,
+} = require("../services/loginAttemptService");
+
+/**
+ * Cap how often an endpoint can be called for one account or from one IP.
+ * Unlike loginThrottle there is no outcome to report, so every request
+ * simply counts and the limit lifts when the window ends.
+ */
+function requestRateLimit(action) {
+  return async function checkRequestRateLimit(req, res, next) {
+    const keys = getAttemptKeys(action, req.body?.email, req.ip);
+
+    try {
+      const block = await countRequest(keys);
+
+      if (block) {
+        res.set("Retry-After", String(block.retryAfter));
+        return res.status(429).json({
+          message: `Too many requests. Try again in ${block.retryAfter} seconds`,
+          retryAfter: block.retryAfter,
+        });
+      }
+    } catch (error) {
+      return res
+        .status(500)
+        .json({ message: "Unable to check request limits" });
+    }
+
+    return next();
+  };
+}
+
+module.exports = requestRateLimit;
@@ -0,0 +1,26 @@
+const mongoose = require("mongoose");
+require("dotenv").config();
+const { migrateCustomersFromLoans } = require("./services/customerService");
+
+async function migrateCustomers() {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log("Connected to MongoDB");
+
+    const summary = await migrateCustomersFromLoans();
+
+    console.log(`Created ${summary.created} customers`);
+    console.log(`Found ${summary.existing} existing customers`);
+    console.log(`Linked ${summary.loansLinked} loans`);
+    summary.errors.forEach(({ bvn, message }) => {
+      console.error(`Failed for BVN ${bvn}: ${message}`);
+    });
+
+    process.exit();
+  } catch (err) {
+    console.error(err);
+    process.exit(1);
+  }
+}
+
+migrateCustomers();
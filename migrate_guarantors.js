@@ -0,0 +1,26 @@
+const mongoose = require("mongoose");
+require("dotenv").config();
+const { migrateGuarantorsFromLoans } = require("./services/guarantorService");
+
+async function migrateGuarantors() {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log("Connected to MongoDB");
+
+    const summary = await migrateGuarantorsFromLoans();
+
+    console.log(`Created ${summary.created} guarantors`);
+    console.log(`Found ${summary.existing} existing guarantors`);
+    console.log(`Linked ${summary.loansLinked} loans`);
+    summary.errors.forEach(({ phone, message }) => {
+      console.error(`Failed for phone ${phone}: ${message}`);
+    });
+
+    process.exit();
+  } catch (err) {
+    console.error(err);
+    process.exit(1);
+  }
+}
+
+migrateGuarantors();
@@ -0,0 +1,25 @@
+const mongoose = require("mongoose");
+require("dotenv").config();
+const {
+  assignDefaultProductsToLoans,
+} = require("./services/loanProductService");
+
+async function migrateLoanProducts() {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log("Connected to MongoDB");
+
+    const summary = await assignDefaultProductsToLoans();
+
+    Object.entries(summary).forEach(([name, count]) => {
+      console.log(`Mapped ${count} loans to "${name}"`);
+    });
+
+    process.exit();
+  } catch (err) {
+    console.error(err);
+    process.exit(1);
+  }
+}
+
+migrateLoanProducts();
@@ -0,0 +1,38 @@
+const mongoose = require("mongoose");
+require("dotenv").config();
+const Loan = require("./models/loan");
+
+// Payments used to be stored without an _id, which made it impossible to
+// reverse a specific one. Give every stored payment a permanent identifier.
+async function migratePaymentIds() {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log("Connected to MongoDB");
+
+    const loans = await Loan.find({
+      "loanDetails.dailyPayment": { $elemMatch: { _id: { $exists: false } } },
+    })
+      .select("loanId loanDetails.dailyPayment")
+      .lean();
+
+    for (const loan of loans) {
+      const payments = loan.loanDetails.dailyPayment.map((payment) => ({
+        ...payment,
+        _id: payment._id || new mongoose.Types.ObjectId(),
+      }));
+
+      await Loan.updateOne(
+        { _id: loan._id },
+        { $set: { "loanDetails.dailyPayment": payments } }
+      );
+    }
+
+    console.log(`Assigned payment ids on ${loans.length} loans`);
+    process.exit();
+  } catch (err) {
+    console.error(err);
+    process.exit(1);
+  }
+}
+
+migratePaymentIds();
@@ -1,5 +1,9 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
+const {
+  isPasswordHash,
+  allowsPlaintextPasswords,
+} = require("../config/passwordPolicy");
 
 const adminSchema = new mongoose.Schema(
   {
@@ -48,8 +52,33 @@ adminSchema.methods.comparePassword = async function comparePassword(candidate)
   }
 
   // Legacy fallback: stored password is plaintext
+  if (isPasswordHash(this.password) || !allowsPlaintextPasswords()) {
+    return false;
+  }
+
   return this.password === candidate;
 };
 
+adminSchema.methods.hasPlaintextPassword = function hasPlaintextPassword() {
+  return Boolean(this.password) && !isPasswordHash(this.password);
+};
+
+// Call after a successful login with the password that was just accepted.
+adminSchema.methods.upgradePlaintextPassword = async function upgradePlaintextPassword(candidate) {
+  if (!this.hasPlaintextPassword()) {
+    return false;
+  }
+
+  const salt = await bcrypt.genSalt(10);
+  const hashed = await bcrypt.hash(candidate, salt);
+
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { password: hashed } }
+  );
+  this.password = hashed;
+  return true;
+};
+
 const Admin = mongoose.model("Admin", adminSchema);
 module.exports = Admin;
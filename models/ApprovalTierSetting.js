@@ -0,0 +1,45 @@
+const mongoose = require("mongoose");
+
+// One approval level. An empty roles list lets any admin who can approve
+// loans sign off that level; Super Admins can sign off any level.
+const approvalLevelSchema = new mongoose.Schema(
+  {
+    roles: { type: [String], default: [] },
+  },
+  { _id: false }
+);
+
+// Loans approved for at least minAmount need every level of the tier, each
+// signed off by a different admin.
+const approvalTierSchema = new mongoose.Schema(
+  {
+    minAmount: { type: Number, required: true, min: 0 },
+    levels: {
+      type: [approvalLevelSchema],
+      validate: {
+        validator: (levels) => levels.length > 0,
+        message: "Each tier needs at least one approval level",
+      },
+    },
+  },
+  { _id: false }
+);
+
+const approvalTierSettingSchema = new mongoose.Schema(
+  {
+    tiers: {
+      type: [approvalTierSchema],
+      default: () => [{ minAmount: 0, levels: [{ roles: [] }] }],
+      validate: {
+        validator: (tiers) => tiers.some((tier) => tier.minAmount === 0),
+        message: "A tier starting at 0 is required",
+      },
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model(
+  "ApprovalTierSetting",
+  approvalTierSettingSchema
+);
@@ -0,0 +1,64 @@
+const mongoose = require("mongoose");
+
+const changeSchema = new mongoose.Schema(
+  {
+    field: { type: String, required: true },
+    before: { type: mongoose.Schema.Types.Mixed },
+    after: { type: mongoose.Schema.Types.Mixed },
+  },
+  { _id: false }
+);
+
+const auditLogSchema = new mongoose.Schema(
+  {
+    actor: {
+      type: {
+        type: String,
+        enum: ["admin", "admin-member", "cso", "system"],
+        required: true,
+      },
+      id: { type: String, default: null },
+      name: { type: String, default: "" },
+      role: { type: String, default: "" },
+    },
+    action: { type: String, required: true, trim: true },
+    entity: {
+      type: { type: String, required: true },
+      id: { type: String, required: true },
+      label: { type: String, default: "" },
+    },
+    changes: { type: [changeSchema], default: [] },
+    metadata: { type: mongoose.Schema.Types.Mixed, default: {} },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+function rejectMutation(next) {
+  next(new Error("Audit log entries are immutable"));
+}
+
+auditLogSchema.pre("save", function preventOverwrite(next) {
+  if (!this.isNew) {
+    return rejectMutation(next);
+  }
+  return next();
+});
+
+[
+  "updateOne",
+  "updateMany",
+  "findOneAndUpdate",
+  "replaceOne",
+  "findOneAndReplace",
+  "deleteOne",
+  "deleteMany",
+  "findOneAndDelete",
+].forEach((operation) => {
+  auditLogSchema.pre(operation, rejectMutation);
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ "actor.id": 1, createdAt: -1 });
+auditLogSchema.index({ "entity.type": 1, "entity.id": 1, createdAt: -1 });
+
+module.exports = mongoose.model("AuditLog", auditLogSchema);
@@ -0,0 +1,49 @@
+const mongoose = require("mongoose");
+
+const BLACKLIST_TYPES = ["bvn", "nin", "phone"];
+
+const actorSchema = new mongoose.Schema(
+  {
+    type: { type: String },
+    id: { type: String },
+    name: { type: String },
+  },
+  { _id: false }
+);
+
+// An override lets one loan through despite the entry. Overrides granted
+// ahead of a submission have no loan until the CSO submits it.
+const blacklistOverrideSchema = new mongoose.Schema(
+  {
+    reason: { type: String, required: true },
+    loan: { type: mongoose.Schema.Types.ObjectId, ref: "Loan" },
+    overriddenBy: { type: actorSchema },
+    overriddenAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const blacklistEntrySchema = new mongoose.Schema(
+  {
+    type: { type: String, enum: BLACKLIST_TYPES, required: true },
+    value: { type: String, required: true, trim: true },
+    reason: { type: String, required: true },
+    addedBy: { type: actorSchema },
+    isActive: { type: Boolean, default: true },
+    removedAt: { type: Date },
+    removedBy: { type: actorSchema },
+    removalReason: { type: String },
+    overrides: { type: [blacklistOverrideSchema], default: [] },
+  },
+  { timestamps: true }
+);
+
+blacklistEntrySchema.index(
+  { type: 1, value: 1 },
+  { unique: true, partialFilterExpression: { isActive: true } }
+);
+
+const BlacklistEntry = mongoose.model("BlacklistEntry", blacklistEntrySchema);
+
+module.exports = BlacklistEntry;
+module.exports.BLACKLIST_TYPES = BLACKLIST_TYPES;
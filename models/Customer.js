@@ -0,0 +1,36 @@
+const mongoose = require("mongoose");
+
+const KYC_STATUSES = ["pending", "verified", "rejected"];
+
+// Master record for a borrower, keyed by BVN. Loans keep a snapshot of these
+// details in customerDetails as they were when the loan was submitted.
+const customerSchema = new mongoose.Schema(
+  {
+    bvn: { type: String, required: true, unique: true, trim: true },
+    nin: { type: String, trim: true },
+    firstName: { type: String, required: true, trim: true },
+    lastName: { type: String, required: true, trim: true },
+    dateOfBirth: { type: String },
+    phoneOne: { type: String, required: true, trim: true },
+    phoneTwo: { type: String, trim: true },
+    address: { type: String, required: true },
+    businessAddress: { type: String },
+    NextOfKin: { type: String },
+    NextOfKinNumber: { type: String },
+    photos: {
+      customer: { type: String },
+      business: { type: String },
+    },
+    kycStatus: { type: String, enum: KYC_STATUSES, default: "pending" },
+    kycNotes: { type: String },
+  },
+  { timestamps: true }
+);
+
+customerSchema.index({ nin: 1 }, { sparse: true });
+customerSchema.index({ phoneOne: 1 });
+
+const Customer = mongoose.model("Customer", customerSchema);
+
+module.exports = Customer;
+module.exports.KYC_STATUSES = KYC_STATUSES;
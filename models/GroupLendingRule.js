@@ -0,0 +1,14 @@
+const mongoose = require("mongoose");
+
+// Single settings document for group lending. While enabled, no member of a
+// group can take a new loan if another member is overdue by more than
+// maxMemberOverdueDays.
+const groupLendingRuleSchema = new mongoose.Schema(
+  {
+    isEnabled: { type: Boolean, default: false },
+    maxMemberOverdueDays: { type: Number, min: 0, default: 7 },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("GroupLendingRule", groupLendingRuleSchema);
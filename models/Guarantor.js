@@ -0,0 +1,21 @@
+const mongoose = require("mongoose");
+
+// A person backing one or more loans, keyed by phone number. Loans keep the
+// guarantor details as they were submitted in guarantorDetails.
+const guarantorSchema = new mongoose.Schema(
+  {
+    phone: { type: String, required: true, unique: true, trim: true },
+    name: { type: String, required: true, trim: true },
+    address: { type: String },
+    // Overrides the default maximum exposure for this guarantor
+    exposureLimit: { type: Number, min: 0 },
+    notes: { type: String },
+  },
+  { timestamps: true }
+);
+
+guarantorSchema.index({ name: 1 });
+
+const Guarantor = mongoose.model("Guarantor", guarantorSchema);
+
+module.exports = Guarantor;
@@ -0,0 +1,26 @@
+const mongoose = require("mongoose");
+
+const idempotencyKeySchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, trim: true },
+    // Caller the key belongs to, so two CSOs can reuse the same key value
+    ownerId: { type: String, required: true },
+    // "METHOD /path" of the original request
+    scope: { type: String, required: true },
+    requestHash: { type: String, required: true },
+    status: {
+      type: String,
+      enum: ["processing", "completed"],
+      default: "processing",
+    },
+    responseStatus: { type: Number },
+    responseBody: { type: mongoose.Schema.Types.Mixed },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+idempotencyKeySchema.index({ key: 1, ownerId: 1, scope: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("IdempotencyKey", idempotencyKeySchema);
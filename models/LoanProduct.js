@@ -0,0 +1,39 @@
+const mongoose = require("mongoose");
+
+const LOAN_FREQUENCIES = ["daily", "weekly", "biweekly", "monthly"];
+
+const loanProductSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, unique: true, trim: true },
+    frequency: { type: String, enum: LOAN_FREQUENCIES, required: true },
+    installmentCount: { type: Number, required: true, min: 1 },
+    // Leave unset to fall back to the global rate managed via /api/interest
+    interestRate: { type: Number, min: 0, default: null },
+    formFee: { type: Number, min: 0, default: 2000 },
+    insuranceFee: { type: Number, min: 0, default: 2000 },
+    minAmount: { type: Number, min: 0, default: 0 },
+    maxAmount: { type: Number, min: 0, default: null },
+    isDefault: { type: Boolean, default: false },
+    isActive: { type: Boolean, default: true },
+  },
+  { timestamps: true }
+);
+
+loanProductSchema.pre("validate", function checkAmountRange(next) {
+  if (
+    this.maxAmount !== null &&
+    this.maxAmount !== undefined &&
+    this.maxAmount < (this.minAmount || 0)
+  ) {
+    return next(new Error("maxAmount cannot be less than minAmount"));
+  }
+
+  return next();
+});
+
+loanProductSchema.index({ frequency: 1, isDefault: 1 });
+
+const LoanProduct = mongoose.model("LoanProduct", loanProductSchema);
+
+module.exports = LoanProduct;
+module.exports.LOAN_FREQUENCIES = LOAN_FREQUENCIES;
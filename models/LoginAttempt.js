@@ -0,0 +1,28 @@
+const mongoose = require("mongoose");
+
+const ATTEMPT_SCOPES = ["account", "ip"];
+
+// Failed attempts against one sign-in action, counted either for the
+// account named in the request or for the client IP. Documents are removed
+// by MongoDB once the failure window and any lockout have passed.
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true },
+    action: { type: String, required: true },
+    scope: { type: String, enum: ATTEMPT_SCOPES, required: true },
+    identifier: { type: String, required: true },
+    failures: { type: Number, default: 0 },
+    lastFailureAt: { type: Date },
+    nextAttemptAt: { type: Date },
+    lockedUntil: { type: Date },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+loginAttemptSchema.index({ key: 1 }, { unique: true });
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const LoginAttempt = mongoose.model("LoginAttempt", loginAttemptSchema);
+module.exports = LoginAttempt;
+module.exports.ATTEMPT_SCOPES = ATTEMPT_SCOPES;
@@ -0,0 +1,18 @@
+const mongoose = require("mongoose");
+
+// One-time code for resetting a CSO password. Only a hash of the code is
+// stored; documents are removed by MongoDB once they expire.
+const passwordResetCodeSchema = new mongoose.Schema(
+  {
+    cso: { type: mongoose.Schema.Types.ObjectId, ref: "CSO", required: true },
+    codeHash: { type: String, required: true },
+    attempts: { type: Number, default: 0 },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+passwordResetCodeSchema.index({ cso: 1 }, { unique: true });
+passwordResetCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("PasswordResetCode", passwordResetCodeSchema);
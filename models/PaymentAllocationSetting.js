@@ -0,0 +1,30 @@
+const mongoose = require("mongoose");
+
+// Fees are not a component: the form fee is remitted by the CSO and the
+// insurance fee is charged at disbursement, so repayments never carry them.
+const ALLOCATION_COMPONENTS = ["penalty", "interest", "principal"];
+
+// Order in which each repayment settles the outstanding components of a loan.
+const paymentAllocationSettingSchema = new mongoose.Schema(
+  {
+    order: {
+      type: [{ type: String, enum: ALLOCATION_COMPONENTS }],
+      default: () => [...ALLOCATION_COMPONENTS],
+      validate: {
+        validator: (order) =>
+          order.length === ALLOCATION_COMPONENTS.length &&
+          ALLOCATION_COMPONENTS.every((component) => order.includes(component)),
+        message: `order must list each of ${ALLOCATION_COMPONENTS.join(", ")} exactly once`,
+      },
+    },
+  },
+  { timestamps: true }
+);
+
+const PaymentAllocationSetting = mongoose.model(
+  "PaymentAllocationSetting",
+  paymentAllocationSettingSchema
+);
+
+module.exports = PaymentAllocationSetting;
+module.exports.ALLOCATION_COMPONENTS = ALLOCATION_COMPONENTS;
@@ -0,0 +1,20 @@
+const mongoose = require("mongoose");
+
+// Single settings document read by the penalty job. Rules only apply to
+// installments due on or after effectiveFrom so enabling them never back-charges
+// arrears that built up before the policy existed.
+const penaltyRuleSchema = new mongoose.Schema(
+  {
+    isEnabled: { type: Boolean, default: false },
+    flatPerMissedInstallment: { type: Number, min: 0, default: 0 },
+    // Fraction of the unpaid installment amount, e.g. 0.05 for 5%
+    percentageOfArrears: { type: Number, min: 0, default: 0 },
+    graceDays: { type: Number, min: 0, default: 0 },
+    // Maximum total penalty charged per loan; null means uncapped
+    capAmount: { type: Number, min: 0, default: null },
+    effectiveFrom: { type: Date, default: Date.now },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("PenaltyRule", penaltyRuleSchema);
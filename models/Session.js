@@ -0,0 +1,28 @@
+const mongoose = require("mongoose");
+
+const ACCOUNT_TYPES = ["cso", "admin", "admin-member"];
+
+// One signed-in device. The refresh token handed to the client is
+// `<session id>.<secret>`; only a hash of the current secret is kept and it
+// changes every time the token is refreshed.
+const sessionSchema = new mongoose.Schema(
+  {
+    accountType: { type: String, enum: ACCOUNT_TYPES, required: true },
+    accountId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    refreshTokenHash: { type: String, required: true },
+    expiresAt: { type: Date, required: true },
+    lastUsedAt: { type: Date },
+    revokedAt: { type: Date },
+    revokedReason: { type: String },
+    ipAddress: { type: String },
+    userAgent: { type: String },
+  },
+  { timestamps: true }
+);
+
+sessionSchema.index({ accountType: 1, accountId: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model("Session", sessionSchema);
+module.exports = Session;
+module.exports.ACCOUNT_TYPES = ACCOUNT_TYPES;
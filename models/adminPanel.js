@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const bcrypt = require("bcryptjs");
 
 const VALID_ROLES = [
   "Manager",
@@ -31,5 +32,16 @@ const adminMemberSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+adminMemberSchema.methods.comparePassword = async function comparePassword(
+  candidate,
+) {
+  if (!this.password || typeof candidate !== "string") {
+    return false;
+  }
+
+  return bcrypt.compare(candidate, this.password);
+};
+
 const AdminMember = mongoose.model("AdminPanel", adminMemberSchema);
 module.exports = AdminMember;
+module.exports.VALID_ROLES = VALID_ROLES;
@@ -1,5 +1,9 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
+const {
+  isPasswordHash,
+  allowsPlaintextPasswords,
+} = require("../config/passwordPolicy");
 
 const csoSchema = new mongoose.Schema(
   {
@@ -71,6 +75,8 @@ const csoSchema = new mongoose.Schema(
         month: { type: Number }, // 1-12
         year: { type: Number },
         value: { type: Number, default: 0 }, // total recovery for the month
+        writtenOff: { type: Number, default: 0 }, // balance written off in the month
+        recovered: { type: Number, default: 0 }, // collected on written-off loans in the month
         updatedAt: { type: Date, default: Date.now },
       },
     ],
@@ -160,9 +166,37 @@ csoSchema.methods.comparePassword = async function comparePassword(candidate) {
     // fall through to plain-text comparison
   }
 
+  if (isPasswordHash(this.password) || !allowsPlaintextPasswords()) {
+    return false;
+  }
+
   return this.password === candidate;
 };
 
+csoSchema.methods.hasPlaintextPassword = function hasPlaintextPassword() {
+  return Boolean(this.password) && !isPasswordHash(this.password);
+};
+
+// Call after a successful login with the password that was just accepted.
+// Writes the hash directly so legacy records that fail current validation
+// are still upgraded.
+csoSchema.methods.upgradePlaintextPassword =
+  async function upgradePlaintextPassword(candidate) {
+    if (!this.hasPlaintextPassword()) {
+      return false;
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    const hashed = await bcrypt.hash(candidate, salt);
+
+    await this.constructor.updateOne(
+      { _id: this._id },
+      { $set: { password: hashed } },
+    );
+    this.password = hashed;
+    return true;
+  };
+
 csoSchema.methods.toJSON = function toJSON() {
   const obj = this.toObject();
   delete obj.password;
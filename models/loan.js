@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { LOAN_FREQUENCIES } = require("./LoanProduct");
 
 function generateLoanId() {
   const timestamp = Date.now();
@@ -15,15 +16,192 @@ const repaymentScheduleSchema = new mongoose.Schema(
       default: "pending",
     },
     amountPaid: { type: Number, default: 0 },
+    // Set once a loan is restructured; otherwise loanDetails.dailyAmount applies
+    amountDue: { type: Number },
     holidayReason: { type: String },
   },
   { _id: false }
 );
 
+const paymentAllocationSchema = new mongoose.Schema(
+  {
+    penalty: { type: Number, default: 0 },
+    interest: { type: Number, default: 0 },
+    principal: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
 const dailyPaymentSchema = new mongoose.Schema(
   {
     amount: { type: Number, required: true },
     date: { type: Date, required: true },
+    // Absent on payments recorded before allocation was introduced
+    allocation: { type: paymentAllocationSchema, default: undefined },
+    // "top-up" payments settle a loan from a new loan's disbursement rather
+    // than cash collected by the CSO; "payoff" is an early settlement and
+    // "recovery" is anything collected after the loan was written off
+    source: {
+      type: String,
+      enum: ["collection", "top-up", "payoff", "recovery"],
+      default: "collection",
+    },
+  },
+  // Reversals refer to a payment by its id
+  { _id: true }
+);
+
+// Payments removed from dailyPayment by an admin, kept for the loan history
+// and the collections feed.
+const paymentReversalSchema = new mongoose.Schema(
+  {
+    paymentId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    amount: { type: Number, required: true },
+    date: { type: Date, required: true },
+    allocation: { type: paymentAllocationSchema, default: undefined },
+    reason: { type: String, required: true },
+    reversedAt: { type: Date, default: Date.now },
+    reversedBy: {
+      type: { type: String },
+      id: { type: String },
+      name: { type: String },
+    },
+  },
+  { _id: false }
+);
+
+// Penalty ledger: charges are positive, waivers negative and adjustments may
+// be either. loanDetails.penalty always equals the sum of these amounts.
+const penaltyEntrySchema = new mongoose.Schema(
+  {
+    kind: {
+      type: String,
+      enum: ["charge", "waiver", "adjustment"],
+      required: true,
+    },
+    amount: { type: Number, required: true },
+    date: { type: Date, required: true },
+    installmentDate: { type: Date },
+    arrears: { type: Number },
+    reason: { type: String },
+    recordedBy: {
+      type: { type: String },
+      id: { type: String },
+      name: { type: String },
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+// Each restructuring keeps the schedule up to restructuredAt and replaces the
+// rest with installmentCount installments of installmentAmount from resumeDate.
+const restructuringSchema = new mongoose.Schema(
+  {
+    restructuredAt: { type: Date, required: true },
+    resumeDate: { type: Date, required: true },
+    freezeUntil: { type: Date },
+    maturityDate: { type: Date, required: true },
+    installmentCount: { type: Number, required: true, min: 1 },
+    installmentAmount: { type: Number, required: true, min: 0 },
+    outstandingBalance: { type: Number, required: true },
+    previousInstallmentAmount: { type: Number, required: true },
+    reason: { type: String, required: true },
+    restructuredBy: {
+      type: { type: String },
+      id: { type: String },
+      name: { type: String },
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+// Early settlement. The rebate is taken off loanDetails.interest and
+// amountToBePaid; the original figures are kept here.
+const payoffSchema = new mongoose.Schema(
+  {
+    settledAt: { type: Date, required: true },
+    amount: { type: Number, required: true },
+    rebate: { type: Number, default: 0 },
+    rebatePercent: { type: Number, default: 0 },
+    principal: { type: Number, default: 0 },
+    interest: { type: Number, default: 0 },
+    penalty: { type: Number, default: 0 },
+    originalInterest: { type: Number },
+    originalAmountToBePaid: { type: Number },
+    recordedBy: {
+      type: { type: String },
+      id: { type: String },
+      name: { type: String },
+    },
+  },
+  { _id: false, timestamps: { createdAt: true, updatedAt: false } }
+);
+
+// A write-off is requested by one admin and approved or rejected by another.
+// amount is the balance (penalty included) written off on approval.
+const writeOffSchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      enum: ["pending", "approved", "rejected"],
+      default: "pending",
+    },
+    reason: { type: String, required: true },
+    amount: { type: Number, default: 0 },
+    requestedAt: { type: Date, default: Date.now },
+    requestedBy: {
+      type: { type: String },
+      id: { type: String },
+      name: { type: String },
+    },
+    reviewedAt: { type: Date },
+    reviewedBy: {
+      type: { type: String },
+      id: { type: String },
+      name: { type: String },
+    },
+    rejectionReason: { type: String },
+    writtenOffAt: { type: Date },
+  },
+  { _id: false }
+);
+
+const DISBURSEMENT_CHANNELS = ["bank-transfer", "mobile-money", "cash"];
+
+// How the money was paid out. disbursedBy must differ from every approver.
+const disbursementSchema = new mongoose.Schema(
+  {
+    reference: { type: String, required: true, trim: true },
+    channel: { type: String, enum: DISBURSEMENT_CHANNELS, required: true },
+    disbursedAt: { type: Date, default: Date.now },
+    disbursedBy: {
+      type: { type: String },
+      id: { type: String },
+      name: { type: String },
+      role: { type: String },
+    },
+  },
+  { _id: false }
+);
+
+// Result of the duplicate/fraud checks run on submission and before approval.
+// matches lists the other open loans that triggered the warning.
+const riskWarningSchema = new mongoose.Schema(
+  {
+    code: { type: String, required: true },
+    severity: { type: String, enum: ["warning", "block"], default: "warning" },
+    message: { type: String },
+    matches: [
+      {
+        _id: false,
+        loan: { type: mongoose.Schema.Types.ObjectId, ref: "Loan" },
+        loanId: { type: String },
+        status: { type: String },
+        bvn: { type: String },
+        customerName: { type: String },
+        csoName: { type: String },
+      },
+    ],
   },
   { _id: false }
 );
@@ -36,6 +214,18 @@ const loanSchema = new mongoose.Schema(
     branchId: { type: String, required: true },
     csoName: { type: String, required: true },
     loanId: { type: String, required: true, unique: true },
+    loanProduct: { type: mongoose.Schema.Types.ObjectId, ref: "LoanProduct" },
+    customer: { type: mongoose.Schema.Types.ObjectId, ref: "Customer" },
+    guarantor: { type: mongoose.Schema.Types.ObjectId, ref: "Guarantor" },
+    // 1 for a customer's first disbursed loan, incremented on each new one
+    loanCycle: { type: Number, default: 1 },
+    renewalType: {
+      type: String,
+      enum: ["new", "renewal", "top-up"],
+      default: "new",
+    },
+    renewalOf: { type: mongoose.Schema.Types.ObjectId, ref: "Loan" },
+    settledByLoan: { type: mongoose.Schema.Types.ObjectId, ref: "Loan" },
     customerDetails: {
       firstName: { type: String, required: true },
       lastName: { type: String, required: true },
@@ -62,7 +252,9 @@ const loanSchema = new mongoose.Schema(
     },
     loanDetails: {
       amountRequested: { type: Number, required: true },
-      loanType: { type: String, enum: ["daily", "weekly"], required: true },
+      loanType: { type: String, enum: LOAN_FREQUENCIES, required: true },
+      productName: { type: String },
+      installmentCount: { type: Number },
       amountApproved: { type: Number },
       interest: { type: Number },
       interestRate: { type: Number },
@@ -72,6 +264,8 @@ const loanSchema = new mongoose.Schema(
       dailyPayment: { type: [dailyPaymentSchema], default: [] },
       amountPaidSoFar: { type: Number, default: 0 },
       amountDisbursed: { type: Number },
+      // Balance of the previous loan netted off a top-up disbursement
+      topUpBalance: { type: Number },
       loanAppForm: { type: Number, default: 2000 },
       insurranceFee: { type: Number, default: 2000 },
       penalty: { type: Number, default: 0 },
@@ -113,6 +307,7 @@ const loanSchema = new mongoose.Schema(
 
         "active loan",
         "fully paid",
+        "written off",
         "rejected",
         "edited",
       ],
@@ -121,7 +316,59 @@ const loanSchema = new mongoose.Schema(
     rejectionReason: { type: String },
     editedReason: { type: String },
     disbursedAt: { type: Date },
+    disbursement: { type: disbursementSchema, default: undefined },
     repaymentSchedule: { type: [repaymentScheduleSchema], default: [] },
+    penalties: { type: [penaltyEntrySchema], default: [] },
+    paymentReversals: { type: [paymentReversalSchema], default: [] },
+    isRestructured: { type: Boolean, default: false },
+    restructuredMaturityDate: { type: Date },
+    restructurings: { type: [restructuringSchema], default: [] },
+    payoff: { type: payoffSchema, default: undefined },
+    writeOff: { type: writeOffSchema, default: undefined },
+    riskWarnings: { type: [riskWarningSchema], default: [] },
+    // Sign-offs for the current submission, one per approval level
+    approvals: [
+      {
+        _id: false,
+        level: { type: Number, required: true },
+        amountApproved: { type: Number, required: true },
+        approvedAt: { type: Date, default: Date.now },
+        approver: {
+          type: { type: String },
+          id: { type: String },
+          name: { type: String },
+          role: { type: String },
+        },
+      },
+    ],
+    // The approval tier's levels as they stood at the first sign-off, so a
+    // later change to the tiers does not move the goalposts mid-approval
+    approvalLevels: {
+      type: [
+        {
+          _id: false,
+          roles: { type: [String], default: [] },
+        },
+      ],
+      default: undefined,
+    },
+    // Blacklist entries this loan was let through despite, and by whom
+    blacklistOverrides: [
+      {
+        _id: false,
+        entry: { type: mongoose.Schema.Types.ObjectId, ref: "BlacklistEntry" },
+        type: { type: String },
+        value: { type: String },
+        reason: { type: String },
+        overriddenBy: {
+          type: { type: String },
+          id: { type: String },
+          name: { type: String },
+        },
+        overriddenAt: { type: Date },
+      },
+    ],
+    riskCheckedAt: { type: Date },
   },
   { timestamps: true }
 );
@@ -140,5 +387,9 @@ loanSchema.index({ disbursedAt: 1 });
 loanSchema.index({ csoId: 1, createdAt: -1 });
 loanSchema.index({ loanId: 1 });
 loanSchema.index({ "customerDetails.bvn": 1 });
+loanSchema.index({ "guarantorDetails.phone": 1 });
+
+const Loan = mongoose.model("Loan", loanSchema);
 
-module.exports = mongoose.model("Loan", loanSchema);
+module.exports = Loan;
+module.exports.DISBURSEMENT_CHANNELS = DISBURSEMENT_CHANNELS;
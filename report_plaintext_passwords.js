@@ -0,0 +1,32 @@
+const mongoose = require("mongoose");
+require("dotenv").config();
+const {
+  findPlaintextPasswordAccounts,
+} = require("./services/passwordMigrationService");
+
+async function reportPlaintextPasswords() {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log("Connected to MongoDB");
+
+    const report = await findPlaintextPasswordAccounts();
+
+    report.admins.forEach((admin) => {
+      console.log(`Admin ${admin.email}`);
+    });
+    report.csos.forEach((cso) => {
+      console.log(`CSO ${cso.email} (${cso.workId})`);
+    });
+    console.log(`${report.total} accounts still hold a plaintext password`);
+    console.log(
+      `Plaintext fallback is ${report.plaintextFallbackEnabled ? "enabled" : "disabled"}`
+    );
+
+    process.exit();
+  } catch (err) {
+    console.error(err);
+    process.exit(1);
+  }
+}
+
+reportPlaintextPasswords();
@@ -2,11 +2,20 @@ const express = require("express");
 const bcrypt = require("bcryptjs");
 const AdminMember = require("../models/adminPanel");
 const authenticateAdmin = require("../middleware/authenticateAdmin");
+const authorizeAdmin = require("../middleware/authorizeAdmin");
+const loginThrottle = require("../middleware/loginThrottle");
+const {
+  PERMISSIONS,
+  SUPER_ADMIN_ROLE,
+  getRolePermissions,
+} = require("../config/permissions");
+const {
+  createSession,
+  revokeAccountSessions,
+} = require("../services/sessionService");
 
 const router = express.Router();
 
-router.use("/api/admin-members", authenticateAdmin);
-
 const VALID_ROLES = [
   "Manager",
   "Disbursement Officer",
@@ -23,6 +32,74 @@ const serializeMember = (member) => {
   return data;
 };
 
+// Login and profile routes are registered before the management guard below
+// so that staff members can reach them with their own credentials.
+router.post(
+  "/api/admin-members/login",
+  loginThrottle("admin-member-login"),
+  async (req, res) => {
+    try {
+      const { email, password } = req.body || {};
+
+      if (!email || !password) {
+        return res
+          .status(400)
+          .json({ message: "Email and password are required" });
+      }
+
+      const member = await AdminMember.findOne({
+        email: String(email).toLowerCase().trim(),
+      });
+
+      if (!member) {
+        return res.status(401).json({ message: "Invalid credentials" });
+      }
+
+      const isMatch = await member.comparePassword(String(password));
+
+      if (!isMatch) {
+        return res.status(401).json({ message: "Invalid credentials" });
+      }
+
+      await req.loginAttempts.recordSuccess();
+
+      if (member.isSuspended) {
+        return res.status(403).json({ message: "Account is suspended" });
+      }
+
+      const tokens = await createSession(req, "admin-member", member);
+
+      return res.json({
+        ...tokens,
+        member: serializeMember(member),
+        permissions: getRolePermissions(member.assignedRole),
+      });
+    } catch (error) {
+      return res
+        .status(500)
+        .json({ message: error.message || "Unable to login" });
+    }
+  },
+);
+
+router.get("/api/admin-members/me", authenticateAdmin, async (req, res) => {
+  if (req.adminRole === SUPER_ADMIN_ROLE) {
+    return res.status(400).json({
+      message: "Super admin accounts should use /api/admin/me instead",
+    });
+  }
+
+  return res.json({
+    member: serializeMember(req.admin),
+    permissions: getRolePermissions(req.adminRole),
+  });
+});
+
+router.use(
+  "/api/admin-members",
+  authorizeAdmin(PERMISSIONS.MANAGE_ADMIN_MEMBERS),
+);
+
 router.get("/api/admin-members", async (_req, res) => {
   try {
     const members = await AdminMember.find()
@@ -104,6 +181,8 @@ router.patch("/api/admin-members/:id/suspend", async (req, res) => {
       return res.status(404).json({ message: "Admin member not found" });
     }
 
+    await revokeAccountSessions("admin-member", updated._id, "suspended");
+
     return res.json(serializeMember(updated));
   } catch (error) {
     return res
@@ -140,6 +219,8 @@ router.delete("/api/admin-members/:id", async (req, res) => {
       return res.status(404).json({ message: "Admin member not found" });
     }
 
+    await revokeAccountSessions("admin-member", deleted._id, "deleted");
+
     return res.json({ message: "Admin member deleted" });
   } catch (error) {
     return res
@@ -1,17 +1,25 @@
 const express = require("express");
-const jwt = require("jsonwebtoken");
 const Admin = require("../models/Admin");
-const jwtSecret = require("../config/jwtSecret");
+const authenticateAdmin = require("../middleware/authenticateAdmin");
+const authorizeAdmin = require("../middleware/authorizeAdmin");
+const loginThrottle = require("../middleware/loginThrottle");
+const { PERMISSIONS } = require("../config/permissions");
+const { findPlaintextPasswordAccounts } = require("../services/passwordMigrationService");
+const {
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeAccountSessions,
+  revokeAllSessionsForSession,
+} = require("../services/sessionService");
 
 const router = express.Router();
 
-function createToken(admin) {
-  return jwt.sign({ id: admin._id, email: admin.email }, jwtSecret, {
-    expiresIn: "7d",
-  });
-}
+const canManageAdmins = authorizeAdmin(PERMISSIONS.MANAGE_ADMIN_MEMBERS);
 
-router.post("/api/admin/register", async (req, res) => {
+// Creates or resets a Super Admin, so only an existing Super Admin may call
+// it. The first account is created with create_admin.js.
+router.post("/api/admin/register", canManageAdmins, async (req, res) => {
   try {
     const { email, password } = req.body || {};
 
@@ -21,18 +29,18 @@ router.post("/api/admin/register", async (req, res) => {
 
     const normalizedEmail = email.toLowerCase().trim();
     let admin = await Admin.findOne({ email: normalizedEmail }).select("+password");
+    const isNew = !admin;
 
     if (admin) {
       admin.password = password;
       await admin.save();
+      await revokeAccountSessions("admin", admin._id, "password-change");
     } else {
       admin = await Admin.create({ email: normalizedEmail, password });
     }
 
-    const token = createToken(admin);
-
-    return res.status(admin.createdAt ? 201 : 200).json({
-      token,
+    // The caller is registering someone else, so no session is started here
+    return res.status(isNew ? 201 : 200).json({
       admin: { id: admin._id, email: admin.email },
     });
   } catch (error) {
@@ -40,7 +48,7 @@ router.post("/api/admin/register", async (req, res) => {
   }
 });
 
-router.post("/api/admin/login", async (req, res) => {
+router.post("/api/admin/login", loginThrottle("admin-login"), async (req, res) => {
   try {
     const { email, password } = req.body || {};
 
@@ -60,10 +68,13 @@ router.post("/api/admin/login", async (req, res) => {
       return res.status(401).json({ message: "Invalid credentials" });
     }
 
-    const token = createToken(admin);
+    await req.loginAttempts.recordSuccess();
+    await admin.upgradePlaintextPassword(password);
+
+    const tokens = await createSession(req, "admin", admin);
 
     return res.json({
-      token,
+      ...tokens,
       admin: { id: admin._id, email: admin.email },
     });
   } catch (error) {
@@ -71,29 +82,66 @@ router.post("/api/admin/login", async (req, res) => {
   }
 });
 
-router.get("/api/admin/me", async (req, res) => {
+// Refreshes both Super Admin and staff member sessions; the session records
+// which kind of account it belongs to.
+router.post("/api/admin/refresh-token", async (req, res) => {
   try {
-    const authHeader = req.headers.authorization;
-    if (!authHeader?.startsWith("Bearer ")) {
-      return res.status(401).json({ message: "Unauthorized" });
+    const { refreshToken } = req.body || {};
+
+    if (!refreshToken) {
+      return res.status(400).json({ message: "Refresh token is required" });
     }
 
-    const token = authHeader.split(" ")[1];
-    const payload = jwt.verify(token, jwtSecret);
+    const result = await refreshSession(refreshToken, ["admin", "admin-member"]);
 
-    const admin = await Admin.findById(payload.id);
-    if (!admin) {
-      return res.status(401).json({ message: "Invalid token" });
+    if (result.reason === "blocked") {
+      return res.status(403).json({ message: result.message });
     }
 
-    return res.json({ id: admin._id, email: admin.email });
-  } catch (error) {
-    if (error.name === "JsonWebTokenError" || error.name === "TokenExpiredError") {
-      return res.status(401).json({ message: "Invalid token" });
+    if (!result.tokens) {
+      return res.status(401).json({ message: "Invalid refresh token" });
     }
 
+    return res.json(result.tokens);
+  } catch (error) {
+    return res.status(500).json({ message: error.message || "Unable to refresh token" });
+  }
+});
+
+router.post("/api/admin/logout", authenticateAdmin, async (req, res) => {
+  try {
+    await revokeSession(req.sessionId);
+    return res.json({ message: "Logged out" });
+  } catch (error) {
+    return res.status(500).json({ message: error.message || "Unable to logout" });
+  }
+});
+
+router.post("/api/admin/logout-all", authenticateAdmin, async (req, res) => {
+  try {
+    const sessions = await revokeAllSessionsForSession(req.sessionId);
+    return res.json({ message: "Logged out of all devices", sessions });
+  } catch (error) {
+    return res.status(500).json({ message: error.message || "Unable to logout" });
+  }
+});
+
+router.get("/api/admin/me", authenticateAdmin, async (req, res) => {
+  try {
+    return res.json({ id: req.admin._id, email: req.admin.email });
+  } catch (error) {
     return res.status(500).json({ message: error.message || "Unable to fetch admin profile" });
   }
 });
 
+// Accounts still holding a plaintext password. Once this is empty the
+// fallback can be switched off with DISABLE_PLAINTEXT_PASSWORDS=true.
+router.get("/api/admin/plaintext-passwords", canManageAdmins, async (req, res) => {
+  try {
+    return res.json(await findPlaintextPasswordAccounts());
+  } catch (error) {
+    return res.status(500).json({ message: error.message || "Unable to fetch plaintext password report" });
+  }
+});
+
 module.exports = router;
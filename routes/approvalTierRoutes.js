@@ -0,0 +1,83 @@
+const express = require("express");
+const ApprovalTierSetting = require("../models/ApprovalTierSetting");
+const { VALID_ROLES } = require("../models/adminPanel");
+const authenticateAdmin = require("../middleware/authenticateAdmin");
+const authorizeAdmin = require("../middleware/authorizeAdmin");
+const { PERMISSIONS } = require("../config/permissions");
+const { recordAudit } = require("../services/auditLogService");
+const { getApprovalTiers } = require("../services/approvalTierService");
+
+const router = express.Router();
+
+const canManageApprovalTiers = authorizeAdmin(
+  PERMISSIONS.MANAGE_APPROVAL_TIERS,
+);
+
+router.get("/api/admin/approval-tiers", authenticateAdmin, async (req, res) => {
+  try {
+    const tiers = await getApprovalTiers();
+    return res.json({ tiers, roles: VALID_ROLES });
+  } catch (error) {
+    return res
+      .status(500)
+      .json({ message: error.message || "Unable to fetch approval tiers" });
+  }
+});
+
+// Only loans approved after the change are affected; approvals already
+// recorded on a loan keep counting towards its original tier.
+router.put(
+  "/api/admin/approval-tiers",
+  canManageApprovalTiers,
+  async (req, res) => {
+    try {
+      const { tiers } = req.body || {};
+
+      if (!Array.isArray(tiers) || tiers.length === 0) {
+        return res
+          .status(400)
+          .json({ message: "tiers must be a non-empty array" });
+      }
+
+      const unknownRoles = tiers
+        .flatMap((tier) => tier?.levels || [])
+        .flatMap((level) => level?.roles || [])
+        .filter((role) => !VALID_ROLES.includes(role));
+
+      if (unknownRoles.length > 0) {
+        return res.status(400).json({
+          message: `Unknown roles: ${[...new Set(unknownRoles)].join(", ")}`,
+        });
+      }
+
+      const previousTiers = await getApprovalTiers();
+      const setting = await ApprovalTierSetting.findOneAndUpdate(
+        {},
+        { $set: { tiers } },
+        {
+          new: true,
+          upsert: true,
+          setDefaultsOnInsert: true,
+          runValidators: true,
+        },
+      ).lean();
+
+      await recordAudit(req, {
+        action: "approval-tiers.update",
+        entityType: "ApprovalTierSetting",
+        entityId: setting._id,
+        entityLabel: "Loan approval tiers",
+        before: { tiers: previousTiers },
+        after: { tiers: setting.tiers },
+      });
+
+      return res.json({ tiers: await getApprovalTiers() });
+    } catch (error) {
+      return res
+        .status(400)
+        .json({ message: error.message || "Unable to update approval tiers" });
+    }
+  },
+);
+
+module.exports = router;
@@ -0,0 +1,133 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const AuditLog = require("../models/AuditLog");
+const authorizeAdmin = require("../middleware/authorizeAdmin");
+const { PERMISSIONS } = require("../config/permissions");
+
+const router = express.Router();
+
+const canViewAuditLogs = authorizeAdmin(PERMISSIONS.VIEW_AUDIT_LOGS);
+
+function parseDate(value, endOfDay = false) {
+  if (!value) {
+    return null;
+  }
+
+  const date = new Date(value);
+
+  if (Number.isNaN(date.getTime())) {
+    return undefined;
+  }
+
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(String(value))) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+
+  return date;
+}
+
+function trimmed(value) {
+  return typeof value === "string" ? value.trim() : "";
+}
+
+router.get("/api/admin/audit-logs", canViewAuditLogs, async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(
+      100,
+      Math.max(1, parseInt(req.query.limit, 10) || 20),
+    );
+    const skip = (page - 1) * limit;
+
+    const actorId = trimmed(req.query.actorId);
+    const actorType = trimmed(req.query.actorType);
+    const entityType = trimmed(req.query.entityType);
+    const entityId = trimmed(req.query.entityId);
+    const action = trimmed(req.query.action);
+    const from = parseDate(req.query.from);
+    const to = parseDate(req.query.to, true);
+
+    if (from === undefined || to === undefined) {
+      return res.status(400).json({ message: "Invalid date range supplied" });
+    }
+
+    const query = {};
+
+    if (actorId) {
+      query["actor.id"] = actorId;
+    }
+
+    if (actorType) {
+      query["actor.type"] = actorType;
+    }
+
+    if (entityType) {
+      query["entity.type"] = entityType;
+    }
+
+    if (entityId) {
+      query["entity.id"] = entityId;
+    }
+
+    if (action) {
+      query.action = action;
+    }
+
+    if (from || to) {
+      query.createdAt = {};
+
+      if (from) {
+        query.createdAt.$gte = from;
+      }
+
+      if (to) {
+        query.createdAt.$lte = to;
+      }
+    }
+
+    const [logs, total] = await Promise.all([
+      AuditLog.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      AuditLog.countDocuments(query),
+    ]);
+
+    return res.json({
+      data: logs,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.max(1, Math.ceil(total / limit)),
+      },
+    });
+  } catch (error) {
+    return res
+      .status(500)
+      .json({ message: error.message || "Unable to fetch audit logs" });
+  }
+});
+
+router.get("/api/admin/audit-logs/:id", canViewAuditLogs, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid audit log identifier" });
+    }
+
+    const log = await AuditLog.findById(req.params.id).lean();
+
+    if (!log) {
+      return res.status(404).json({ message: "Audit log entry not found" });
+    }
+
+    return res.json(log);
+  } catch (error) {
+    return res
+      .status(500)
+      .json({ message: error.message || "Unable to fetch audit log entry" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,221 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const BlacklistEntry = require("../models/BlacklistEntry");
+const { BLACKLIST_TYPES } = require("../models/BlacklistEntry");
+const authenticateAdmin = require("../middleware/authenticateAdmin");
+const authorizeAdmin = require("../middleware/authorizeAdmin");
+const { PERMISSIONS } = require("../config/permissions");
+const { recordAudit, resolveActor } = require("../services/auditLogService");
+
+const router = express.Router();
+
+const canManageBlacklist = authorizeAdmin(PERMISSIONS.MANAGE_BLACKLIST);
+const canOverrideBlacklist = authorizeAdmin(PERMISSIONS.OVERRIDE_BLACKLIST);
+
+function readReason(body) {
+  return typeof body?.reason === "string" ? body.reason.trim() : "";
+}
+
+function toActor(req) {
+  const actor = resolveActor(req);
+  return { type: actor.type, id: actor.id, name: actor.name };
+}
+
+async function findEntry(req, res) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ message: "Invalid blacklist entry id" });
+    return null;
+  }
+
+  const entry = await BlacklistEntry.findById(req.params.id);
+
+  if (!entry) {
+    res.status(404).json({ message: "Blacklist entry not found" });
+    return null;
+  }
+
+  return entry;
+}
+
+router.get("/api/admin/blacklist", authenticateAdmin, async (req, res) => {
+  try {
+    const filter = {};
+
+    if (req.query.active !== "all") {
+      filter.isActive = req.query.active !== "false";
+    }
+
+    if (req.query.type) {
+      filter.type = req.query.type;
+    }
+
+    if (req.query.value) {
+      filter.value = String(req.query.value).trim();
+    }
+
+    const entries = await BlacklistEntry.find(filter)
+      .sort({ createdAt: -1 })
+      .lean();
+
+    return res.json(entries);
+  } catch (error) {
+    return res
+      .status(500)
+      .json({ message: error.message || "Unable to fetch blacklist" });
+  }
+});
+
+router.post("/api/admin/blacklist", canManageBlacklist, async (req, res) => {
+  try {
+    const { type } = req.body || {};
+    const value = req.body?.value ? String(req.body.value).trim() : "";
+    const reason = readReason(req.body);
+
+    if (!BLACKLIST_TYPES.includes(type)) {
+      return res.status(400).json({
+        message: `type must be one of ${BLACKLIST_TYPES.join(", ")}`,
+      });
+    }
+
+    if (!value || !reason) {
+      return res.status(400).json({ message: "value and reason are required" });
+    }
+
+    const entry = await BlacklistEntry.create({
+      type,
+      value,
+      reason,
+      addedBy: toActor(req),
+    });
+
+    await recordAudit(req, {
+      action: "blacklist.add",
+      entityType: "BlacklistEntry",
+      entityId: entry._id,
+      entityLabel: `${entry.type}:${entry.value}`,
+      before: {},
+      after: { type, value, reason },
+    });
+
+    return res.status(201).json(entry);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res
+        .status(409)
+        .json({ message: "This value is already blacklisted" });
+    }
+
+    return res
+      .status(400)
+      .json({ message: error.message || "Unable to add blacklist entry" });
+  }
+});
+
+// Entries are deactivated rather than deleted so the history of who was
+// blacklisted, and which loans overrode it, is kept.
+router.patch(
+  "/api/admin/blacklist/:id/remove",
+  canManageBlacklist,
+  async (req, res) => {
+    try {
+      const reason = readReason(req.body);
+
+      if (!reason) {
+        return res.status(400).json({ message: "Reason is required" });
+      }
+
+      const entry = await findEntry(req, res);
+
+      if (!entry) {
+        return;
+      }
+
+      if (!entry.isActive) {
+        return res
+          .status(400)
+          .json({ message: "Blacklist entry is already removed" });
+      }
+
+      entry.isActive = false;
+      entry.removedAt = new Date();
+      entry.removedBy = toActor(req);
+      entry.removalReason = reason;
+      await entry.save();
+
+      await recordAudit(req, {
+        action: "blacklist.remove",
+        entityType: "BlacklistEntry",
+        entityId: entry._id,
+        entityLabel: `${entry.type}:${entry.value}`,
+        before: { isActive: true },
+        after: { isActive: false },
+        metadata: { reason },
+      });
+
+      return res.json(entry);
+    } catch (error) {
+      return res
+        .status(400)
+        .json({ message: error.message || "Unable to remove blacklist entry" });
+    }
+  },
+);
+
+// Lets the customer's next loan submission through this entry. Approval of
+// that loan still needs the usual checks.
+router.post(
+  "/api/admin/blacklist/:id/override",
+  canOverrideBlacklist,
+  async (req, res) => {
+    try {
+      const reason = readReason(req.body);
+
+      if (!reason) {
+        return res.status(400).json({ message: "Reason is required" });
+      }
+
+      const entry = await findEntry(req, res);
+
+      if (!entry) {
+        return;
+      }
+
+      if (!entry.isActive) {
+        return res
+          .status(400)
+          .json({ message: "Blacklist entry is no longer active" });
+      }
+
+      if (entry.overrides.some((override) => !override.loan)) {
+        return res.status(409).json({
+          message: "An unused override already exists for this entry",
+        });
+      }
+
+      entry.overrides.push({
+        reason,
+        overriddenBy: toActor(req),
+        overriddenAt: new Date(),
+      });
+      await entry.save();
+
+      await recordAudit(req, {
+        action: "blacklist.override",
+        entityType: "BlacklistEntry",
+        entityId: entry._id,
+        entityLabel: `${entry.type}:${entry.value}`,
+        before: {},
+        after: {},
+        metadata: { reason },
+      });
+
+      return res.json(entry);
+    } catch (error) {
+      return res
+        .status(400)
+        .json({ message: error.message || "Unable to override blacklist" });
+    }
+  },
+);
+
+module.exports = router;
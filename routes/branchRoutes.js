@@ -4,9 +4,13 @@ const Branch = require("../models/branch");
 const Loan = require("../models/loan");
 const CSO = require("../models/cso");
 const Report = require("../models/Report");
+const authenticateAdmin = require("../middleware/authenticateAdmin");
+const { recordAudit } = require("../services/auditLogService");
 
 const router = express.Router();
 
+router.use("/api/branches", authenticateAdmin);
+
 function parseNumeric(value) {
   if (value === undefined || value === null || value === "") {
     return null;
@@ -88,10 +92,22 @@ async function applyTargetsToBranch(branchDoc, targets) {
   return branchDoc;
 }
 
+function auditBranchChange(req, action, before, branch) {
+  return recordAudit(req, {
+    action,
+    entityType: "Branch",
+    entityId: branch._id,
+    entityLabel: branch.name,
+    before,
+    after: branch,
+  });
+}
+
 // Create a new branch
 router.post("/api/branches", async (req, res) => {
   try {
     const branch = await Branch.create(req.body);
+    await auditBranchChange(req, "branch.create", {}, branch);
     return res.status(201).json(branch);
   } catch (error) {
     if (error.code === 11000) {
@@ -121,6 +137,15 @@ router.delete("/api/branches/:id", async (req, res) => {
       return res.status(404).json({ message: "Branch not found" });
     }
 
+    await recordAudit(req, {
+      action: "branch.delete",
+      entityType: "Branch",
+      entityId: deleted._id,
+      entityLabel: deleted.name,
+      before: deleted,
+      after: {},
+    });
+
     return res.json({ message: "Branch deleted" });
   } catch (error) {
     return res.status(500).json({ message: "Unable to delete branch" });
@@ -147,7 +172,9 @@ router.patch("/api/branches/:id/targets", async (req, res) => {
 
       const updatedBranches = [];
       for (const branch of branches) {
+        const before = branch.toObject();
         const updated = await applyTargetsToBranch(branch, { loanTarget, disbursementTarget });
+        await auditBranchChange(req, "branch.targets", before, updated);
         updatedBranches.push(updated);
       }
 
@@ -164,7 +191,9 @@ router.patch("/api/branches/:id/targets", async (req, res) => {
       return res.status(404).json({ message: "Branch not found" });
     }
 
+    const before = branch.toObject();
     const updatedBranch = await applyTargetsToBranch(branch, { loanTarget, disbursementTarget });
+    await auditBranchChange(req, "branch.targets", before, updatedBranch);
 
     return res.json(updatedBranch);
   } catch (error) {
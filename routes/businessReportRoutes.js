@@ -2,9 +2,12 @@ const express = require("express");
 const Loan = require("../models/loan");
 const Report = require("../models/Report");
 const CSO = require("../models/cso");
+const authenticateAdmin = require("../middleware/authenticateAdmin");
 
 const router = express.Router();
 
+router.use("/api/business-report", authenticateAdmin);
+
 const ACTIVE_LOAN_STATUSES = ["approved", "active loan", "fully paid"];
 
 function normalizeStartOfDay(date) {
@@ -189,6 +192,14 @@ function findWeekForDate(date, segments) {
   return null;
 }
 
+// Portion of a payment that settles the loan balance; penalty is collected
+// on top of amountToBePaid.
+function getRepaymentAmount(payment) {
+  const amount = Number(payment?.amount ?? payment?.amountPaid ?? 0);
+  const penalty = Number(payment?.allocation?.penalty || 0);
+  return amount - (Number.isFinite(penalty) ? penalty : 0);
+}
+
 function sumExpenseItems(items = []) {
   return items.reduce((total, item) => total + Number(item.amount || 0), 0);
 }
@@ -485,7 +496,7 @@ router.get("/api/business-report/liquidity", async (req, res) => {
         const payments = [];
 
         for (const payment of paymentsRaw) {
-          const amount = Number(payment?.amount ?? payment?.amountPaid ?? 0);
+          const amount = getRepaymentAmount(payment);
           if (!Number.isFinite(amount) || amount <= 0) {
             continue;
           }
@@ -713,18 +724,89 @@ router.get("/api/business-report/monthly-summary", async (req, res) => {
                     },
                   },
                 },
+                {
+                  $addFields: {
+                    paymentAmount: {
+                      $toDouble: {
+                        $ifNull: [
+                          "$loanDetails.dailyPayment.amount",
+                          "$loanDetails.dailyPayment.amountPaid",
+                          0,
+                        ],
+                      },
+                    },
+                    loanDebt: {
+                      $toDouble: {
+                        $ifNull: ["$loanDetails.amountToBePaid", 0],
+                      },
+                    },
+                    loanInterest: {
+                      $toDouble: {
+                        $ifNull: [
+                          "$loanDetails.interest",
+                          {
+                            $subtract: [
+                              { $ifNull: ["$loanDetails.amountToBePaid", 0] },
+                              {
+                                $ifNull: [
+                                  "$loanDetails.amountApproved",
+                                  {
+                                    $ifNull: ["$loanDetails.amountToBePaid", 0],
+                                  },
+                                ],
+                              },
+                            ],
+                          },
+                        ],
+                      },
+                    },
+                  },
+                },
+                {
+                  // Payments recorded before allocation existed are split
+                  // pro rata between interest and principal.
+                  $addFields: {
+                    penaltyPortion: {
+                      $toDouble: {
+                        $ifNull: [
+                          "$loanDetails.dailyPayment.allocation.penalty",
+                          0,
+                        ],
+                      },
+                    },
+                    interestPortion: {
+                      $toDouble: {
+                        $ifNull: [
+                          "$loanDetails.dailyPayment.allocation.interest",
+                          {
+                            $cond: [
+                              { $gt: ["$loanDebt", 0] },
+                              {
+                                $multiply: [
+                                  "$paymentAmount",
+                                  { $divide: ["$loanInterest", "$loanDebt"] },
+                                ],
+                              },
+                              0,
+                            ],
+                          },
+                        ],
+                      },
+                    },
+                  },
+                },
                 {
                   $group: {
                     _id: { $month: "$loanDetails.dailyPayment.date" }, // 1-12
-                    totalRepayment: {
+                    totalRepayment: { $sum: "$paymentAmount" },
+                    interestCollected: { $sum: "$interestPortion" },
+                    penaltyCollected: { $sum: "$penaltyPortion" },
+                    principalRecovered: {
                       $sum: {
-                        $toDouble: {
-                          $ifNull: [
-                            "$loanDetails.dailyPayment.amount",
-                            "$loanDetails.dailyPayment.amountPaid",
-                            0,
-                          ],
-                        },
+                        $subtract: [
+                          "$paymentAmount",
+                          { $add: ["$interestPortion", "$penaltyPortion"] },
+                        ],
                       },
                     },
                   },
@@ -786,6 +868,8 @@ router.get("/api/business-report/monthly-summary", async (req, res) => {
                   $group: {
                     _id: "$recoveryRecord.month",
                     total: { $sum: "$recoveryRecord.value" },
+                    writtenOff: { $sum: "$recoveryRecord.writtenOff" },
+                    recovered: { $sum: "$recoveryRecord.recovered" },
                   },
                 },
               ],
@@ -805,7 +889,7 @@ router.get("/api/business-report/monthly-summary", async (req, res) => {
           ],
         })
           .select(
-            "disbursedAt loanDetails.amountToBePaid loanDetails.dailyPayment"
+            "disbursedAt status writeOff.writtenOffAt loanDetails.amountToBePaid loanDetails.dailyPayment"
           )
           .lean(),
       ]);
@@ -816,9 +900,9 @@ router.get("/api/business-report/monthly-summary", async (req, res) => {
       disbursementMap.set(d._id, d);
     });
 
-    const repaymentMap = new Map(); // month -> totalRepayment
+    const repaymentMap = new Map(); // month -> repayment totals and split
     loanMetrics[0].payments.forEach((p) => {
-      repaymentMap.set(p._id, p.totalRepayment);
+      repaymentMap.set(p._id, p);
     });
 
     const expenseMap = new Map(); // month -> totalExpenses
@@ -832,8 +916,12 @@ router.get("/api/business-report/monthly-summary", async (req, res) => {
     }
 
     const recoveryMap = new Map(); // month -> total
+    const writeOffMap = new Map(); // month -> {writtenOff, recovered}
     if (csoMetrics[0]?.recovery) {
-      csoMetrics[0].recovery.forEach((r) => recoveryMap.set(r._id, r.total));
+      csoMetrics[0].recovery.forEach((r) => {
+        recoveryMap.set(r._id, r.total);
+        writeOffMap.set(r._id, r);
+      });
     }
 
     // Process Cash At Hand (Get last value for each month)
@@ -868,6 +956,12 @@ router.get("/api/business-report/monthly-summary", async (req, res) => {
         continue;
       }
 
+      // Written-off balances leave the loan book from the write-off date
+      const writtenOffAt =
+        loan.status === "written off" && loan.writeOff?.writtenOffAt
+          ? new Date(loan.writeOff.writtenOffAt)
+          : null;
+
       const disbursedRaw = loan.disbursedAt ? new Date(loan.disbursedAt) : null;
       const disbursedAt =
         disbursedRaw && !Number.isNaN(disbursedRaw.getTime())
@@ -891,7 +985,7 @@ router.get("/api/business-report/monthly-summary", async (req, res) => {
           return;
         }
 
-        const paymentAmount = Number(payment.amount ?? payment.amountPaid ?? 0);
+        const paymentAmount = getRepaymentAmount(payment);
         if (!Number.isFinite(paymentAmount) || paymentAmount <= 0) {
           return;
         }
@@ -914,7 +1008,10 @@ router.get("/api/business-report/monthly-summary", async (req, res) => {
       let cumulativePaid = 0;
 
       monthEnds.forEach((monthEnd, idx) => {
-        if (disbursedAt && disbursedAt > monthEnd) {
+        if (
+          (disbursedAt && disbursedAt > monthEnd) ||
+          (writtenOffAt && writtenOffAt <= monthEnd)
+        ) {
           return;
         }
 
@@ -946,11 +1043,18 @@ router.get("/api/business-report/monthly-summary", async (req, res) => {
       const totalInterest = disbData.totalInterest || 0;
       const totalLoanAppForm = disbData.totalForm || 0;
 
-      const totalRepayment = repaymentMap.get(m) || 0;
+      const repaymentData = repaymentMap.get(m) || {};
+      const totalRepayment = repaymentData.totalRepayment || 0;
+      const interestCollected = repaymentData.interestCollected || 0;
+      const principalRecovered = repaymentData.principalRecovered || 0;
+      const penaltyCollected = repaymentData.penaltyCollected || 0;
       const totalExpenses = expenseMap.get(m) || 0;
 
       const totalOverdue = overdueMap.get(m) || 0;
       const totalRecovery = recoveryMap.get(m) || 0;
+      const writeOffData = writeOffMap.get(m) || {};
+      const totalWrittenOff = writeOffData.writtenOff || 0;
+      const totalRecoveredAfterWriteOff = writeOffData.recovered || 0;
 
       // Profit
       const totalProfit = totalInterest + totalLoanAppForm - totalExpenses;
@@ -979,12 +1083,19 @@ router.get("/api/business-report/monthly-summary", async (req, res) => {
         loanCount,
         amountDisbursed: Number(amountDisbursed.toFixed(2)),
         totalRepayment: Number(totalRepayment.toFixed(2)),
+        interestCollected: Number(interestCollected.toFixed(2)),
+        principalRecovered: Number(principalRecovered.toFixed(2)),
+        penaltyCollected: Number(penaltyCollected.toFixed(2)),
         totalInterest: Number(totalInterest.toFixed(2)),
         totalLoanAppForm: Number(totalLoanAppForm.toFixed(2)),
         totalExpenses: Number(totalExpenses.toFixed(2)),
         totalProfit: Number(totalProfit.toFixed(2)),
         totalOverdue: Number(totalOverdue.toFixed(2)),
         totalRecovery: Number(totalRecovery.toFixed(2)),
+        totalWrittenOff: Number(totalWrittenOff.toFixed(2)),
+        totalRecoveredAfterWriteOff: Number(
+          totalRecoveredAfterWriteOff.toFixed(2)
+        ),
         lastCashAtHand: Number.isFinite(lastCash)
           ? Number(lastCash.toFixed(2))
           : 0,
@@ -1,5 +1,4 @@
 const express = require("express");
-const jwt = require("jsonwebtoken");
 const mongoose = require("mongoose");
 const CSO = require("../models/cso");
 const Cso = require("../models/cso");
@@ -7,17 +6,41 @@ const Loan = require("../models/loan");
 const Holiday = require("../models/Holiday");
 const GroupLeader = require("../models/groupLeader");
 const authenticateCso = require("../middleware/authenticateCso");
-const jwtSecret = require("../config/jwtSecret");
+const authenticateAdmin = require("../middleware/authenticateAdmin");
+const authorizeAdmin = require("../middleware/authorizeAdmin");
+const idempotency = require("../middleware/idempotency");
+const loginThrottle = require("../middleware/loginThrottle");
+const requestRateLimit = require("../middleware/requestRateLimit");
+const { PERMISSIONS } = require("../config/permissions");
+const { recordAudit } = require("../services/auditLogService");
+const { getInstallmentCount } = require("../services/loanProductService");
+const {
+  buildGroupSummary,
+  getGroupSummaries,
+} = require("../services/groupLendingService");
+const { clearAccountAttempts } = require("../services/loginAttemptService");
+const {
+  requestPasswordReset,
+  confirmPasswordReset,
+} = require("../services/passwordResetService");
+const {
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeAccountSessions,
+  revokeAllSessionsForSession,
+} = require("../services/sessionService");
 
 const router = express.Router();
 
-const FORM_AMOUNT_DEFAULT = 3000;
+router.use(["/api/admin/remittances", "/api/admin/csos"], authenticateAdmin);
 
-function generateToken(cso) {
-  return jwt.sign({ id: cso._id, email: cso.email }, jwtSecret, {
-    expiresIn: "7d",
-  });
-}
+const canResolveRemittances = authorizeAdmin(PERMISSIONS.RESOLVE_REMITTANCES);
+const canManageCsos = authorizeAdmin(PERMISSIONS.MANAGE_CSOS);
+// CSO posts that move money and may be retried on flaky connections
+const idempotentCso = [authenticateCso, idempotency];
+
+const FORM_AMOUNT_DEFAULT = 3000;
 
 function parseNumeric(value) {
   if (value === undefined || value === null || value === "") {
@@ -28,7 +51,7 @@ function parseNumeric(value) {
   return Number.isFinite(number) ? number : null;
 }
 
-router.patch("/api/csos/defaulting-target", async (req, res) => {
+router.patch("/api/csos/defaulting-target", canManageCsos, async (req, res) => {
   try {
     const scope = req.body.scope === "all" ? "all" : "single";
     const defaultingTarget = parseNumeric(req.body.defaultingTarget);
@@ -46,6 +69,15 @@ router.patch("/api/csos/defaulting-target", async (req, res) => {
         {},
         { $set: { defaultingTarget: roundedTarget } }
       );
+      await recordAudit(req, {
+        action: "cso.defaulting-target-all",
+        entityType: "CSO",
+        entityId: "all",
+        entityLabel: "All CSOs",
+        before: {},
+        after: { defaultingTarget: roundedTarget },
+        metadata: { updatedCount: modifiedCount },
+      });
       return res.json({
         scope,
         data: { updatedCount: modifiedCount, defaultingTarget: roundedTarget },
@@ -60,6 +92,12 @@ router.patch("/api/csos/defaulting-target", async (req, res) => {
         .json({ message: "Provide a valid CSO identifier" });
     }
 
+    const before = await CSO.findById(csoId).lean();
+
+    if (!before) {
+      return res.status(404).json({ message: "CSO not found" });
+    }
+
     const updatedCso = await CSO.findByIdAndUpdate(
       csoId,
       { $set: { defaultingTarget: roundedTarget } },
@@ -70,6 +108,8 @@ router.patch("/api/csos/defaulting-target", async (req, res) => {
       return res.status(404).json({ message: "CSO not found" });
     }
 
+    await auditCsoChange(req, "cso.defaulting-target", before, updatedCso);
+
     return res.json({ scope, data: updatedCso });
   } catch (error) {
     return res.status(400).json({
@@ -79,7 +119,7 @@ router.patch("/api/csos/defaulting-target", async (req, res) => {
 });
 
 // Create a new CSO
-router.post("/api/csos", async (req, res) => {
+router.post("/api/csos", canManageCsos, async (req, res) => {
   try {
     const payload = { ...req.body };
 
@@ -88,6 +128,7 @@ router.post("/api/csos", async (req, res) => {
     }
 
     const cso = await CSO.create(payload);
+    await auditCsoChange(req, "cso.create", {}, cso);
     return res.status(201).json(cso);
   } catch (error) {
     if (error.code === 11000) {
@@ -100,7 +141,7 @@ router.post("/api/csos", async (req, res) => {
 });
 
 // CSO login
-router.post("/api/csos/login", async (req, res) => {
+router.post("/api/csos/login", loginThrottle("cso-login"), async (req, res) => {
   try {
     const { email, password } = req.body;
 
@@ -122,51 +163,156 @@ router.post("/api/csos/login", async (req, res) => {
       return res.status(401).json({ message: "Invalid credentials" });
     }
 
-    const token = generateToken(cso);
-    return res.json({ token, cso: cso.toJSON() });
+    await req.loginAttempts.recordSuccess();
+
+    if (cso.isActive === false) {
+      return res.status(403).json({ message: "Account is deactivated" });
+    }
+
+    await cso.upgradePlaintextPassword(password);
+
+    const tokens = await createSession(req, "cso", cso);
+    return res.json({ ...tokens, cso: cso.toJSON() });
   } catch (error) {
     return res.status(500).json({ message: "Unable to login" });
   }
 });
 
-// Reset CSO password without current password (forgot password flow)
-router.post("/api/csos/forgot-password", async (req, res) => {
+// Exchange a refresh token for a new access token. The refresh token is
+// rotated, so the one sent here cannot be used again.
+router.post("/api/csos/refresh-token", async (req, res) => {
   try {
-    const { email, newPassword } = req.body;
+    const { refreshToken } = req.body || {};
 
-    if (!email || !newPassword) {
-      return res
-        .status(400)
-        .json({ message: "Email and new password are required" });
+    if (!refreshToken) {
+      return res.status(400).json({ message: "Refresh token is required" });
     }
 
-    if (typeof newPassword !== "string" || newPassword.length < 8) {
-      return res
-        .status(400)
-        .json({ message: "New password must be at least 8 characters" });
+    const result = await refreshSession(refreshToken, ["cso"]);
+
+    if (result.reason === "blocked") {
+      return res.status(403).json({ message: result.message });
     }
 
-    const cso = await CSO.findOne({ email }).select("+password");
+    if (!result.tokens) {
+      return res.status(401).json({ message: "Invalid refresh token" });
+    }
 
-    if (!cso) {
-      return res
-        .status(404)
-        .json({ message: "CSO with provided email not found" });
+    return res.json(result.tokens);
+  } catch (error) {
+    return res.status(500).json({ message: "Unable to refresh token" });
+  }
+});
+
+router.post("/api/csos/logout", authenticateCso, async (req, res) => {
+  try {
+    await revokeSession(req.sessionId);
+    return res.json({ message: "Logged out" });
+  } catch (error) {
+    return res.status(500).json({ message: "Unable to logout" });
+  }
+});
+
+// Sign the CSO out on every device, this one included.
+router.post("/api/csos/logout-all", authenticateCso, async (req, res) => {
+  try {
+    const sessions = await revokeAllSessionsForSession(req.sessionId);
+    return res.json({ message: "Logged out of all devices", sessions });
+  } catch (error) {
+    return res.status(500).json({ message: "Unable to logout" });
+  }
+});
+
+// Step one of a password reset: send a one-time code to the CSO. The
+// response is the same whether or not the email is registered, so the
+// endpoint is only rate limited.
+router.post("/api/csos/forgot-password", requestRateLimit("forgot-password"), async (req, res) => {
+  try {
+    const { email } = req.body || {};
+
+    if (!email) {
+      return res.status(400).json({ message: "Email is required" });
     }
 
-    cso.password = newPassword;
-    await cso.save();
+    try {
+      await requestPasswordReset(String(email).trim());
+    } catch (error) {
+      // Answered the same as a sent code so a delivery failure does not
+      // reveal that the account exists
+      console.error("Error sending password reset code:", error);
+    }
 
-    return res.json({ message: "Password reset successfully" });
+    return res.json({
+      message: "If the email is registered, a reset code has been sent",
+    });
   } catch (error) {
     return res
-      .status(400)
-      .json({ message: error.message || "Unable to reset password" });
+      .status(500)
+      .json({ message: error.message || "Unable to send reset code" });
   }
 });
 
+// Step two: set the new password using the code from step one.
+router.post(
+  "/api/csos/reset-password",
+  loginThrottle("reset-password"),
+  async (req, res) => {
+    try {
+      const { email, code, newPassword } = req.body || {};
+
+      if (!email || !code || !newPassword) {
+        return res
+          .status(400)
+          .json({ message: "Email, code and new password are required" });
+      }
+
+      if (typeof newPassword !== "string" || newPassword.length < 8) {
+        return res
+          .status(400)
+          .json({ message: "New password must be at least 8 characters" });
+      }
+
+      const result = await confirmPasswordReset(
+        String(email).trim(),
+        String(code).trim(),
+        newPassword
+      );
+
+      if (!result.cso) {
+        if (result.reason === "locked") {
+          return res.status(429).json({
+            message: "Too many incorrect attempts. Request a new reset code",
+          });
+        }
+
+        return res.status(400).json({ message: "Invalid or expired code" });
+      }
+
+      await req.loginAttempts.recordSuccess();
+      // The new password should not inherit a lockout from the old one
+      await clearAccountAttempts("cso-login", result.cso.email);
+      await revokeAccountSessions("cso", result.cso._id, "password-reset");
+
+      await recordAudit(req, {
+        action: "cso.password-reset",
+        entityType: "CSO",
+        entityId: result.cso._id,
+        entityLabel: result.cso.email,
+        before: {},
+        after: {},
+      });
+
+      return res.json({ message: "Password reset successfully" });
+    } catch (error) {
+      return res
+        .status(400)
+        .json({ message: error.message || "Unable to reset password" });
+    }
+  }
+);
+
 // Retrieve all CSOs
-router.get("/api/csos", async (req, res) => {
+router.get("/api/csos", authenticateAdmin, async (req, res) => {
   try {
     const page = Math.max(1, parseInt(req.query.page, 10) || 1);
     const limit = Math.min(
@@ -358,6 +504,45 @@ function remittanceFallsWithinRange(record, startDate, endDate) {
   return candidateTime >= startTime && candidateTime < endTime;
 }
 
+function auditCsoChange(req, action, before, cso, metadata) {
+  return recordAudit(req, {
+    action,
+    entityType: "CSO",
+    entityId: cso._id,
+    entityLabel: [cso.firstName, cso.lastName].filter(Boolean).join(" "),
+    before,
+    after: cso,
+    ignore: ["password"],
+    metadata,
+  });
+}
+
+function auditGroupLeaderChange(req, action, before, groupLeader, metadata) {
+  return recordAudit(req, {
+    action,
+    entityType: "GroupLeader",
+    entityId: groupLeader._id,
+    entityLabel: groupLeader.groupName,
+    before,
+    after: groupLeader,
+    metadata,
+  });
+}
+
+function auditRemittanceChange(req, action, csoDoc, before, remittanceDoc) {
+  const csoName = [csoDoc.firstName, csoDoc.lastName].filter(Boolean).join(" ");
+
+  return recordAudit(req, {
+    action,
+    entityType: "Remittance",
+    entityId: remittanceDoc._id,
+    entityLabel: `${csoName} ${formatDateKey(remittanceDoc.date) || ""}`.trim(),
+    before,
+    after: remittanceDoc,
+    metadata: { csoId: csoDoc._id.toString() },
+  });
+}
+
 function formatRemittanceEntry(csoDoc, remittanceDoc) {
   if (!remittanceDoc) {
     return null;
@@ -602,7 +787,7 @@ router.get("/api/admin/remittances", async (req, res) => {
   }
 });
 
-router.patch("/api/admin/remittances/:remittanceId", async (req, res) => {
+router.patch("/api/admin/remittances/:remittanceId", canResolveRemittances, async (req, res) => {
   try {
     const { remittanceId } = req.params;
 
@@ -631,6 +816,8 @@ router.patch("/api/admin/remittances/:remittanceId", async (req, res) => {
       return res.status(404).json({ message: "Remittance record not found" });
     }
 
+    const before = remittanceRecord.toObject();
+
     if (amountRemitted !== undefined) {
       remittanceRecord.amountRemitted = toCurrencyNumber(amountRemitted);
     }
@@ -669,6 +856,13 @@ router.patch("/api/admin/remittances/:remittanceId", async (req, res) => {
     await cso.save();
 
     const updatedRecord = cso.remittance.id(remittanceId);
+    await auditRemittanceChange(
+      req,
+      "remittance.update",
+      cso,
+      before,
+      updatedRecord
+    );
 
     return res.json({
       data: formatRemittanceEntry(cso, updatedRecord),
@@ -739,7 +933,7 @@ router.get("/api/csos/collection", authenticateCso, async (req, res) => {
             normalizeAmount(loan?.loanDetails?.amountToBePaid) || 0;
 
           const expectedAmount =
-            businessDays >= 22
+            businessDays >= getInstallmentCount(loan.loanDetails)
               ? amountToBePaid
               : normalizeAmount(businessDays * dailyAmount) || 0;
 
@@ -978,7 +1172,9 @@ router.get("/api/csos/dashboard-stats", authenticateCso, async (req, res) => {
           const businessDays = countBusinessDays(dueStartDate, now); // Up to today
 
           const expectedAmount =
-            businessDays >= 22 ? loanToBePaid : businessDays * dailyAmount;
+            businessDays >= getInstallmentCount(loan.loanDetails)
+              ? loanToBePaid
+              : businessDays * dailyAmount;
           const rawDue = expectedAmount - paidSoFar;
           const amountDue = rawDue > 0 ? rawDue : 0;
 
@@ -1137,7 +1333,9 @@ router.get("/api/admin/csos/:csoId/dashboard-stats", async (req, res) => {
           const businessDays = countBusinessDays(dueStartDate, now);
 
           const expectedAmount =
-            businessDays >= 22 ? loanToBePaid : businessDays * dailyAmount;
+            businessDays >= getInstallmentCount(loan.loanDetails)
+              ? loanToBePaid
+              : businessDays * dailyAmount;
           const rawDue = expectedAmount - paidSoFar;
           const amountDue = rawDue > 0 ? rawDue : 0;
 
@@ -1239,7 +1437,7 @@ router.get("/api/admin/csos/:csoId/outstanding-loans", async (req, res) => {
       let outstanding = 0;
       let expectedRepayment = 0;
 
-      if (scheduleCountTillToday > 22) {
+      if (scheduleCountTillToday > getInstallmentCount(loan.loanDetails)) {
         expectedRepayment = amountToBePaid;
         outstanding = Math.max(0, amountToBePaid - amountPaid);
       } else {
@@ -1284,7 +1482,7 @@ router.get("/api/admin/csos/:csoId/outstanding-loans", async (req, res) => {
 });
 
 // Retrieve a single CSO by ID
-router.get("/api/csos/:id", async (req, res) => {
+router.get("/api/csos/:id", authenticateAdmin, async (req, res) => {
   try {
     const { id } = req.params;
     const cso = await CSO.findById(id);
@@ -1300,7 +1498,7 @@ router.get("/api/csos/:id", async (req, res) => {
 });
 
 // Update CSO information
-router.patch("/api/csos/:id", async (req, res) => {
+router.patch("/api/csos/:id", canManageCsos, async (req, res) => {
   try {
     const { id } = req.params;
     const updates = { ...req.body };
@@ -1309,6 +1507,12 @@ router.patch("/api/csos/:id", async (req, res) => {
       updates.password = updates.workId;
     }
 
+    const before = await CSO.findById(id).lean();
+
+    if (!before) {
+      return res.status(404).json({ message: "CSO not found" });
+    }
+
     const cso = await CSO.findByIdAndUpdate(id, updates, {
       new: true,
       runValidators: true,
@@ -1318,6 +1522,16 @@ router.patch("/api/csos/:id", async (req, res) => {
       return res.status(404).json({ message: "CSO not found" });
     }
 
+    await auditCsoChange(req, "cso.update", before, cso, {
+      passwordChanged: Boolean(updates.password),
+    });
+
+    if (updates.password) {
+      await revokeAccountSessions("cso", cso._id, "password-change");
+    } else if (cso.isActive === false) {
+      await revokeAccountSessions("cso", cso._id, "deactivated");
+    }
+
     return res.json(cso);
   } catch (error) {
     return res
@@ -1327,7 +1541,7 @@ router.patch("/api/csos/:id", async (req, res) => {
 });
 
 // Activate or deactivate CSO
-router.patch("/api/csos/:id/status", async (req, res) => {
+router.patch("/api/csos/:id/status", canManageCsos, async (req, res) => {
   try {
     const { id } = req.params;
     const { isActive } = req.body;
@@ -1336,6 +1550,12 @@ router.patch("/api/csos/:id/status", async (req, res) => {
       return res.status(400).json({ message: "isActive must be a boolean" });
     }
 
+    const before = await CSO.findById(id).lean();
+
+    if (!before) {
+      return res.status(404).json({ message: "CSO not found" });
+    }
+
     const cso = await CSO.findByIdAndUpdate(
       id,
       { $set: { isActive } },
@@ -1346,6 +1566,17 @@ router.patch("/api/csos/:id/status", async (req, res) => {
       return res.status(404).json({ message: "CSO not found" });
     }
 
+    await auditCsoChange(
+      req,
+      isActive ? "cso.activate" : "cso.deactivate",
+      before,
+      cso
+    );
+
+    if (!isActive) {
+      await revokeAccountSessions("cso", cso._id, "deactivated");
+    }
+
     return res.json(cso);
   } catch (error) {
     return res
@@ -1355,7 +1586,7 @@ router.patch("/api/csos/:id/status", async (req, res) => {
 });
 
 // Transfer CSO to a new branch
-router.patch("/api/csos/:id/transfer-branch", async (req, res) => {
+router.patch("/api/csos/:id/transfer-branch", canManageCsos, async (req, res) => {
   try {
     const { id } = req.params;
     const { branch, branchId } = req.body;
@@ -1366,6 +1597,12 @@ router.patch("/api/csos/:id/transfer-branch", async (req, res) => {
         .json({ message: "Branch name and ID are required" });
     }
 
+    const before = await CSO.findById(id).lean();
+
+    if (!before) {
+      return res.status(404).json({ message: "CSO not found" });
+    }
+
     const cso = await CSO.findByIdAndUpdate(
       id,
       { $set: { branch, branchId } },
@@ -1377,7 +1614,7 @@ router.patch("/api/csos/:id/transfer-branch", async (req, res) => {
     }
 
     // Update all loans associated with this CSO
-    await Loan.updateMany(
+    const loanResult = await Loan.updateMany(
       { csoId: id },
       {
         $set: {
@@ -1387,6 +1624,10 @@ router.patch("/api/csos/:id/transfer-branch", async (req, res) => {
       }
     );
 
+    await auditCsoChange(req, "cso.transfer-branch", before, cso, {
+      loansTransferred: loanResult.modifiedCount,
+    });
+
     return res.json({
       message: "CSO and all associated loans transferred successfully",
       cso,
@@ -1493,6 +1734,10 @@ router.patch("/api/csos/me/password", authenticateCso, async (req, res) => {
 
     cso.password = newPassword;
     await cso.save();
+    // Other devices have to sign in again with the new password
+    await revokeAccountSessions("cso", cso._id, "password-change", {
+      exceptSessionId: req.sessionId,
+    });
 
     return res.json({ message: "Password updated successfully" });
   } catch (error) {
@@ -1504,7 +1749,7 @@ router.patch("/api/csos/me/password", authenticateCso, async (req, res) => {
 
 // Post daily remittance
 // Post daily remittance
-router.post("/api/csos/remittance", authenticateCso, async (req, res) => {
+router.post("/api/csos/remittance", idempotentCso, async (req, res) => {
   try {
     const { amountCollected, amountPaid, image, date, remark } = req.body;
 
@@ -1536,6 +1781,8 @@ router.post("/api/csos/remittance", authenticateCso, async (req, res) => {
     });
 
     if (existingEntry) {
+      const before = existingEntry.toObject();
+
       // Updating existing entry
       const parsedAmountCollected = Number(amountCollected);
 
@@ -1588,6 +1835,13 @@ router.post("/api/csos/remittance", authenticateCso, async (req, res) => {
       });
 
       await cso.save();
+      await auditRemittanceChange(
+        req,
+        "remittance.submit",
+        cso,
+        before,
+        existingEntry
+      );
 
       return res.json({
         message: "Partial remittance recorded successfully",
@@ -1636,6 +1890,13 @@ router.post("/api/csos/remittance", authenticateCso, async (req, res) => {
 
       cso.remittance.push(newEntry);
       await cso.save();
+      await auditRemittanceChange(
+        req,
+        "remittance.submit",
+        cso,
+        {},
+        cso.remittance[cso.remittance.length - 1]
+      );
 
       return res.json({
         message: "Remittance posted successfully",
@@ -1652,7 +1913,7 @@ router.post("/api/csos/remittance", authenticateCso, async (req, res) => {
 });
 
 // Resolve a remittance issue
-router.post("/api/csos/:id/resolve-remittance", async (req, res) => {
+router.post("/api/csos/:id/resolve-remittance", canResolveRemittances, async (req, res) => {
   try {
     const { date, resolvedIssue } = req.body;
     const csoId = req.params.id;
@@ -1725,6 +1986,8 @@ router.post("/api/csos/:id/resolve-remittance", async (req, res) => {
       return rDate === targetDateStr;
     });
 
+    const before = existingRemittance ? existingRemittance.toObject() : {};
+
     if (existingRemittance) {
       existingRemittance.resolvedIssue = resolvedIssue;
       existingRemittance.amountCollected = totalCollection; // Update collected amount
@@ -1740,6 +2003,17 @@ router.post("/api/csos/:id/resolve-remittance", async (req, res) => {
     }
 
     await cso.save();
+
+    const resolvedRecord =
+      existingRemittance || cso.remittance[cso.remittance.length - 1];
+    await auditRemittanceChange(
+      req,
+      "remittance.resolve",
+      cso,
+      before,
+      resolvedRecord
+    );
+
     res.json(cso);
   } catch (error) {
     console.error("Error resolving remittance:", error);
@@ -1783,7 +2057,7 @@ router.post("/api/group-leaders", authenticateCso, async (req, res) => {
 });
 
 // Get all group leaders (for admin)
-router.get("/api/group-leaders", async (req, res) => {
+router.get("/api/group-leaders", authenticateAdmin, async (req, res) => {
   try {
     const { csoId } = req.query;
     const query = csoId ? { csoId } : {};
@@ -1797,10 +2071,16 @@ router.get("/api/group-leaders", async (req, res) => {
 });
 
 // Approve group leader
-router.put("/api/group-leaders/:id/approve", async (req, res) => {
+router.put("/api/group-leaders/:id/approve", canManageCsos, async (req, res) => {
   try {
     const { id } = req.params;
 
+    const before = await GroupLeader.findById(id).lean();
+
+    if (!before) {
+      return res.status(404).json({ message: "Group leader not found" });
+    }
+
     const groupLeader = await GroupLeader.findByIdAndUpdate(
       id,
       { status: "approved" },
@@ -1811,6 +2091,8 @@ router.put("/api/group-leaders/:id/approve", async (req, res) => {
       return res.status(404).json({ message: "Group leader not found" });
     }
 
+    await auditGroupLeaderChange(req, "group-leader.approve", before, groupLeader);
+
     res.json(groupLeader);
   } catch (error) {
     res
@@ -1820,11 +2102,17 @@ router.put("/api/group-leaders/:id/approve", async (req, res) => {
 });
 
 // Update group leader
-router.put("/api/group-leaders/:id", async (req, res) => {
+router.put("/api/group-leaders/:id", canManageCsos, async (req, res) => {
   try {
     const { id } = req.params;
     const { groupName, firstName, lastName, address, phone } = req.body;
 
+    const before = await GroupLeader.findById(id).lean();
+
+    if (!before) {
+      return res.status(404).json({ message: "Group leader not found" });
+    }
+
     const groupLeader = await GroupLeader.findByIdAndUpdate(
       id,
       { groupName, firstName, lastName, address, phone },
@@ -1835,6 +2123,8 @@ router.put("/api/group-leaders/:id", async (req, res) => {
       return res.status(404).json({ message: "Group leader not found" });
     }
 
+    await auditGroupLeaderChange(req, "group-leader.update", before, groupLeader);
+
     res.json(groupLeader);
   } catch (error) {
     if (error.code === 11000) {
@@ -1847,7 +2137,7 @@ router.put("/api/group-leaders/:id", async (req, res) => {
 });
 
 // Delete group leader
-router.delete("/api/group-leaders/:id", async (req, res) => {
+router.delete("/api/group-leaders/:id", canManageCsos, async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -1857,6 +2147,15 @@ router.delete("/api/group-leaders/:id", async (req, res) => {
       return res.status(404).json({ message: "Group leader not found" });
     }
 
+    await recordAudit(req, {
+      action: "group-leader.delete",
+      entityType: "GroupLeader",
+      entityId: groupLeader._id,
+      entityLabel: groupLeader.groupName,
+      before: groupLeader,
+      after: {},
+    });
+
     res.json({ message: "Group leader deleted successfully" });
   } catch (error) {
     res
@@ -1866,7 +2165,7 @@ router.delete("/api/group-leaders/:id", async (req, res) => {
 });
 
 // Transfer group leader to a new CSO
-router.post("/api/group-leaders/:id/transfer-cso", async (req, res) => {
+router.post("/api/group-leaders/:id/transfer-cso", canManageCsos, async (req, res) => {
   try {
     const { id } = req.params;
     const { newCsoId } = req.body;
@@ -1887,6 +2186,8 @@ router.post("/api/group-leaders/:id/transfer-cso", async (req, res) => {
       return res.status(404).json({ message: "New CSO not found" });
     }
 
+    const before = groupLeader.toObject();
+
     // Update the group leader
     groupLeader.csoId = newCsoId;
     groupLeader.csoName = `${newCso.firstName} ${newCso.lastName}`;
@@ -1907,6 +2208,10 @@ router.post("/api/group-leaders/:id/transfer-cso", async (req, res) => {
       }
     );
 
+    await auditGroupLeaderChange(req, "group-leader.transfer-cso", before, groupLeader, {
+      loansTransferred: updateResult.modifiedCount,
+    });
+
     res.json({
       message: "Group transferred successfully",
       groupLeader,
@@ -1921,7 +2226,7 @@ router.post("/api/group-leaders/:id/transfer-cso", async (req, res) => {
 });
 
 // Get group leaders for a specific CSO (admin access)
-router.get("/api/csos/:id/group-leaders", async (req, res) => {
+router.get("/api/csos/:id/group-leaders", authenticateAdmin, async (req, res) => {
   try {
     const { id } = req.params;
     const groupLeaders = await GroupLeader.find({
@@ -1936,6 +2241,47 @@ router.get("/api/csos/:id/group-leaders", async (req, res) => {
   }
 });
 
+// Group leader performance for a CSO, best repayment rate first. Groups with
+// nothing due yet are listed last.
+router.get(
+  "/api/csos/:id/group-leaders/performance",
+  authenticateAdmin,
+  async (req, res) => {
+    try {
+      const groupLeaders = await GroupLeader.find({
+        csoId: req.params.id,
+        status: "approved",
+      }).lean();
+      const summaries = await getGroupSummaries(
+        groupLeaders.map((leader) => leader._id)
+      );
+
+      const performance = groupLeaders
+        .map((leader) => {
+          const { loans, ...summary } =
+            summaries.get(leader._id.toString()) || buildGroupSummary([]);
+          return {
+            groupLeaderId: leader._id,
+            groupName: leader.groupName,
+            leaderName: `${leader.firstName} ${leader.lastName}`,
+            phone: leader.phone,
+            ...summary,
+          };
+        })
+        .sort(
+          (first, second) =>
+            (second.repaymentRate ?? -1) - (first.repaymentRate ?? -1)
+        );
+
+      return res.json(performance);
+    } catch (error) {
+      return res.status(500).json({
+        message: error.message || "Unable to fetch group leader performance",
+      });
+    }
+  }
+);
+
 router.get(
   "/api/group-leaders/my-approved",
   authenticateCso,
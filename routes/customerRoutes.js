@@ -0,0 +1,234 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const Customer = require("../models/Customer");
+const Loan = require("../models/loan");
+const authenticateAdmin = require("../middleware/authenticateAdmin");
+const authorizeAdmin = require("../middleware/authorizeAdmin");
+const { PERMISSIONS } = require("../config/permissions");
+const { recordAudit } = require("../services/auditLogService");
+
+const router = express.Router();
+
+const canManageCustomers = authorizeAdmin(PERMISSIONS.MANAGE_CUSTOMERS);
+
+const EDITABLE_FIELDS = [
+  "bvn",
+  "nin",
+  "firstName",
+  "lastName",
+  "dateOfBirth",
+  "phoneOne",
+  "phoneTwo",
+  "address",
+  "businessAddress",
+  "NextOfKin",
+  "NextOfKinNumber",
+  "photos",
+  "kycStatus",
+  "kycNotes",
+];
+
+function pickCustomerFields(body = {}) {
+  return EDITABLE_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) {
+      fields[key] = body[key];
+    }
+    return fields;
+  }, {});
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+async function findCustomer(req, res) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ message: "Invalid customer id" });
+    return null;
+  }
+
+  const customer = await Customer.findById(req.params.id);
+
+  if (!customer) {
+    res.status(404).json({ message: "Customer not found" });
+    return null;
+  }
+
+  return customer;
+}
+
+router.get("/api/customers", authenticateAdmin, async (req, res) => {
+  try {
+    const pageParam = Number.parseInt(req.query.page, 10);
+    const limitParam = Number.parseInt(req.query.limit, 10);
+    const page = Number.isFinite(pageParam) && pageParam > 0 ? pageParam : 1;
+    const limit =
+      Number.isFinite(limitParam) && limitParam > 0
+        ? Math.min(limitParam, 100)
+        : 20;
+    const search = req.query.search ? String(req.query.search).trim() : "";
+    const filter = {};
+
+    if (search) {
+      const pattern = { $regex: escapeRegex(search), $options: "i" };
+      filter.$or = [
+        { firstName: pattern },
+        { lastName: pattern },
+        { bvn: pattern },
+        { nin: pattern },
+        { phoneOne: pattern },
+      ];
+    }
+
+    if (req.query.kycStatus) {
+      filter.kycStatus = req.query.kycStatus;
+    }
+
+    const [customers, total] = await Promise.all([
+      Customer.find(filter)
+        .sort({ firstName: 1, lastName: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Customer.countDocuments(filter),
+    ]);
+
+    return res.json({
+      customers,
+      pagination: { total, page, limit, pages: Math.ceil(total / limit) },
+    });
+  } catch (error) {
+    return res
+      .status(500)
+      .json({ message: error.message || "Unable to fetch customers" });
+  }
+});
+
+router.get("/api/customers/:id", authenticateAdmin, async (req, res) => {
+  try {
+    const customer = await findCustomer(req, res);
+
+    if (!customer) {
+      return;
+    }
+
+    const loans = await Loan.find({ customer: customer._id })
+      .select("loanId status loanCycle loanDetails.amountApproved disbursedAt")
+      .sort({ createdAt: -1 })
+      .lean();
+
+    return res.json({ ...customer.toObject(), loans });
+  } catch (error) {
+    return res
+      .status(500)
+      .json({ message: error.message || "Unable to fetch customer" });
+  }
+});
+
+router.post("/api/customers", canManageCustomers, async (req, res) => {
+  try {
+    const customer = await Customer.create(pickCustomerFields(req.body));
+
+    await recordAudit(req, {
+      action: "customer.create",
+      entityType: "Customer",
+      entityId: customer._id,
+      entityLabel: customer.bvn,
+      before: {},
+      after: customer,
+    });
+
+    return res.status(201).json(customer);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res
+        .status(409)
+        .json({ message: "A customer with this BVN already exists" });
+    }
+
+    return res
+      .status(400)
+      .json({ message: error.message || "Unable to create customer" });
+  }
+});
+
+// Loans keep the customer details captured when they were submitted, so
+// edits here only apply to loans submitted afterwards.
+router.patch("/api/customers/:id", canManageCustomers, async (req, res) => {
+  try {
+    const customer = await findCustomer(req, res);
+
+    if (!customer) {
+      return;
+    }
+
+    const before = customer.toObject();
+
+    customer.set(pickCustomerFields(req.body));
+    await customer.save();
+
+    await recordAudit(req, {
+      action: "customer.update",
+      entityType: "Customer",
+      entityId: customer._id,
+      entityLabel: customer.bvn,
+      before,
+      after: customer,
+    });
+
+    return res.json(customer);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res
+        .status(409)
+        .json({ message: "A customer with this BVN already exists" });
+    }
+
+    return res
+      .status(400)
+      .json({ message: error.message || "Unable to update customer" });
+  }
+});
+
+router.delete("/api/customers/:id", canManageCustomers, async (req, res) => {
+  try {
+    const customer = await findCustomer(req, res);
+
+    if (!customer) {
+      return;
+    }
+
+    const linkedLoans = await Loan.countDocuments({
+      $or: [
+        { customer: customer._id },
+        { "customerDetails.bvn": customer.bvn },
+      ],
+    });
+
+    if (linkedLoans > 0) {
+      return res
+        .status(409)
+        .json({ message: "Customer has loans and cannot be deleted" });
+    }
+
+    const before = customer.toObject();
+    await customer.deleteOne();
+
+    await recordAudit(req, {
+      action: "customer.delete",
+      entityType: "Customer",
+      entityId: customer._id,
+      entityLabel: customer.bvn,
+      before,
+      after: {},
+    });
+
+    return res.json({ message: "Customer deleted" });
+  } catch (error) {
+    return res
+      .status(500)
+      .json({ message: error.message || "Unable to delete customer" });
+  }
+});
+
+module.exports = router;
@@ -2,9 +2,15 @@ const express = require("express");
 const Report = require("../models/Report");
 const AdminMember = require("../models/adminPanel");
 const CSO = require("../models/cso");
+const authenticateAdmin = require("../middleware/authenticateAdmin");
+const authorizeAdmin = require("../middleware/authorizeAdmin");
+const { PERMISSIONS } = require("../config/permissions");
+const { recordAudit } = require("../services/auditLogService");
 
 const router = express.Router();
 
+const canMoveExpenses = authorizeAdmin(PERMISSIONS.MOVE_EXPENSES);
+
 function toLagosDate(value) {
   const date = value ? new Date(value) : new Date();
 
@@ -62,7 +68,7 @@ function sortCashEntries(entries = []) {
   return [...entries].sort((a, b) => b.date.localeCompare(a.date));
 }
 
-router.get("/api/expenses", async (req, res) => {
+router.get("/api/expenses", authenticateAdmin, async (req, res) => {
   try {
     const queryDateInput = req.query.date
       ? toLagosDate(req.query.date)
@@ -119,7 +125,7 @@ router.get("/api/expenses", async (req, res) => {
   }
 });
 
-router.post("/api/expenses", async (req, res) => {
+router.post("/api/expenses", authenticateAdmin, async (req, res) => {
   try {
     const {
       amount,
@@ -217,6 +223,17 @@ router.post("/api/expenses", async (req, res) => {
         ? savedEntry.items[0].toObject()
         : null;
 
+    if (createdItem) {
+      await recordAudit(req, {
+        action: "expense.create",
+        entityType: "Expense",
+        entityId: createdItem._id,
+        entityLabel: createdItem.purpose,
+        before: {},
+        after: { date: dateKey, ...createdItem },
+      });
+    }
+
     return res.status(201).json({
       message: "Expense recorded successfully",
       date: dateKey,
@@ -230,7 +247,7 @@ router.post("/api/expenses", async (req, res) => {
   }
 });
 
-router.patch("/api/expenses/:expenseId/move", async (req, res) => {
+router.patch("/api/expenses/:expenseId/move", canMoveExpenses, async (req, res) => {
   try {
     const { expenseId } = req.params;
     const { targetDate } = req.body || {};
@@ -280,6 +297,11 @@ router.patch("/api/expenses/:expenseId/move", async (req, res) => {
       return res.status(404).json({ message: "Expense item not found" });
     }
 
+    const before = {
+      date: sourceEntry.date,
+      movedAt: expenseItem.movedAt || null,
+    };
+
     const sourceDateKey = sourceEntry.date;
 
     let targetEntry = report.expenses.find(
@@ -301,6 +323,15 @@ router.patch("/api/expenses/:expenseId/move", async (req, res) => {
     report.markModified("expenses");
     await report.save();
 
+    await recordAudit(req, {
+      action: "expense.move",
+      entityType: "Expense",
+      entityId: expenseItem._id,
+      entityLabel: expenseItem.purpose,
+      before,
+      after: { date: targetDateKey, movedAt: expenseItem.movedAt },
+    });
+
     return res.json({
       message: "Expense moved successfully",
       sourceDate: sourceDateKey,
@@ -315,7 +346,7 @@ router.patch("/api/expenses/:expenseId/move", async (req, res) => {
   }
 });
 
-router.get("/api/cash-at-hand", async (req, res) => {
+router.get("/api/cash-at-hand", authenticateAdmin, async (req, res) => {
   try {
     const report = await Report.findOne();
     if (!report) {
@@ -352,7 +383,7 @@ router.get("/api/cash-at-hand", async (req, res) => {
   }
 });
 
-router.post("/api/cash-at-hand", async (req, res) => {
+router.post("/api/cash-at-hand", authenticateAdmin, async (req, res) => {
   try {
     const { amount, date } = req.body || {};
     const normalizedAmount = Number(amount);
@@ -372,6 +403,7 @@ router.post("/api/cash-at-hand", async (req, res) => {
     const existingEntry = report.cashAtHand.find(
       (entry) => entry.date === lagosDate.dateKey
     );
+    const previousAmount = existingEntry ? existingEntry.amount : null;
 
     if (existingEntry) {
       existingEntry.amount = normalizedAmount;
@@ -387,6 +419,15 @@ router.post("/api/cash-at-hand", async (req, res) => {
     report.markModified("cashAtHand");
     await report.save();
 
+    await recordAudit(req, {
+      action: "cash-at-hand.update",
+      entityType: "CashAtHand",
+      entityId: lagosDate.dateKey,
+      entityLabel: lagosDate.dateKey,
+      before: { amount: previousAmount },
+      after: { amount: normalizedAmount },
+    });
+
     return res.status(201).json({
       message: "Cash at hand updated",
       date: lagosDate.dateKey,
@@ -0,0 +1,139 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const GroupLeader = require("../models/groupLeader");
+const GroupLendingRule = require("../models/GroupLendingRule");
+const authenticateAdmin = require("../middleware/authenticateAdmin");
+const authorizeAdmin = require("../middleware/authorizeAdmin");
+const { PERMISSIONS } = require("../config/permissions");
+const { recordAudit } = require("../services/auditLogService");
+const {
+  getGroupLendingRules,
+  getGroupSummaries,
+  getGroupSummary,
+} = require("../services/groupLendingService");
+
+const router = express.Router();
+
+const canManageGroupLending = authorizeAdmin(PERMISSIONS.MANAGE_GROUP_LENDING);
+
+const RULE_FIELDS = ["isEnabled", "maxMemberOverdueDays"];
+
+function describeGroup(leader) {
+  return {
+    groupId: leader._id,
+    groupName: leader.groupName,
+    leaderName: `${leader.firstName} ${leader.lastName}`,
+    leaderPhone: leader.phone,
+    csoId: leader.csoId,
+    csoName: leader.csoName,
+  };
+}
+
+router.get("/api/admin/groups", authenticateAdmin, async (req, res) => {
+  try {
+    const filter = { status: "approved" };
+
+    if (req.query.csoId) {
+      filter.csoId = String(req.query.csoId);
+    }
+
+    const leaders = await GroupLeader.find(filter)
+      .sort({ groupName: 1 })
+      .lean();
+    const summaries = await getGroupSummaries(
+      leaders.map((leader) => leader._id),
+    );
+
+    return res.json({
+      groups: leaders.map((leader) => {
+        const { loans, ...summary } = summaries.get(leader._id.toString());
+        return { ...describeGroup(leader), ...summary };
+      }),
+    });
+  } catch (error) {
+    return res
+      .status(500)
+      .json({ message: error.message || "Unable to fetch groups" });
+  }
+});
+
+router.get("/api/admin/groups/:id", authenticateAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid group id" });
+    }
+
+    const leader = await GroupLeader.findById(req.params.id).lean();
+
+    if (!leader) {
+      return res.status(404).json({ message: "Group not found" });
+    }
+
+    const summary = await getGroupSummary(leader._id);
+
+    return res.json({ ...describeGroup(leader), ...summary });
+  } catch (error) {
+    return res
+      .status(500)
+      .json({ message: error.message || "Unable to fetch group" });
+  }
+});
+
+router.get(
+  "/api/admin/group-lending-rules",
+  authenticateAdmin,
+  async (req, res) => {
+    try {
+      const rules = await getGroupLendingRules();
+      return res.json(rules);
+    } catch (error) {
+      return res.status(500).json({
+        message: error.message || "Unable to fetch group lending rules",
+      });
+    }
+  },
+);
+
+router.put(
+  "/api/admin/group-lending-rules",
+  canManageGroupLending,
+  async (req, res) => {
+    try {
+      const updates = RULE_FIELDS.reduce((fields, key) => {
+        if (req.body?.[key] !== undefined) {
+          fields[key] = req.body[key];
+        }
+        return fields;
+      }, {});
+
+      const previous = await GroupLendingRule.findOne({}).lean();
+      const rules = await GroupLendingRule.findOneAndUpdate(
+        {},
+        { $set: updates },
+        {
+          new: true,
+          upsert: true,
+          setDefaultsOnInsert: true,
+          runValidators: true,
+        },
+      ).lean();
+
+      await recordAudit(req, {
+        action: "group-lending-rules.update",
+        entityType: "GroupLendingRule",
+        entityId: rules._id,
+        entityLabel: "Group lending rules",
+        before: previous || {},
+        after: rules,
+      });
+
+      return res.json(rules);
+    } catch (error) {
+      return res.status(400).json({
+        message: error.message || "Unable to update group lending rules",
+      });
+    }
+  },
+);
+
+module.exports = router;
@@ -0,0 +1,143 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const Guarantor = require("../models/Guarantor");
+const authenticateAdmin = require("../middleware/authenticateAdmin");
+const authorizeAdmin = require("../middleware/authorizeAdmin");
+const { PERMISSIONS } = require("../config/permissions");
+const { recordAudit } = require("../services/auditLogService");
+const {
+  getGuarantorExposures,
+  getGuarantorExposure,
+} = require("../services/guarantorService");
+
+const router = express.Router();
+
+const canManageGuarantors = authorizeAdmin(PERMISSIONS.MANAGE_GUARANTORS);
+
+const EDITABLE_FIELDS = ["name", "address", "exposureLimit", "notes"];
+
+function pickGuarantorFields(body = {}) {
+  return EDITABLE_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) {
+      fields[key] = body[key];
+    }
+    return fields;
+  }, {});
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+async function findGuarantor(req, res) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ message: "Invalid guarantor id" });
+    return null;
+  }
+
+  const guarantor = await Guarantor.findById(req.params.id);
+
+  if (!guarantor) {
+    res.status(404).json({ message: "Guarantor not found" });
+    return null;
+  }
+
+  return guarantor;
+}
+
+router.get("/api/admin/guarantors", authenticateAdmin, async (req, res) => {
+  try {
+    const pageParam = Number.parseInt(req.query.page, 10);
+    const limitParam = Number.parseInt(req.query.limit, 10);
+    const page = Number.isFinite(pageParam) && pageParam > 0 ? pageParam : 1;
+    const limit =
+      Number.isFinite(limitParam) && limitParam > 0
+        ? Math.min(limitParam, 100)
+        : 20;
+    const search = req.query.search ? String(req.query.search).trim() : "";
+    const filter = {};
+
+    if (search) {
+      const pattern = { $regex: escapeRegex(search), $options: "i" };
+      filter.$or = [{ name: pattern }, { phone: pattern }];
+    }
+
+    const [guarantors, total] = await Promise.all([
+      Guarantor.find(filter)
+        .sort({ name: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Guarantor.countDocuments(filter),
+    ]);
+
+    const exposures = await getGuarantorExposures(guarantors);
+
+    return res.json({
+      guarantors: guarantors.map((guarantor) => {
+        const { loans, ...exposure } = exposures.get(guarantor._id.toString());
+        return { ...guarantor, ...exposure };
+      }),
+      pagination: { total, page, limit, pages: Math.ceil(total / limit) },
+    });
+  } catch (error) {
+    return res
+      .status(500)
+      .json({ message: error.message || "Unable to fetch guarantors" });
+  }
+});
+
+router.get("/api/admin/guarantors/:id", authenticateAdmin, async (req, res) => {
+  try {
+    const guarantor = await findGuarantor(req, res);
+
+    if (!guarantor) {
+      return;
+    }
+
+    const exposure = await getGuarantorExposure(guarantor);
+
+    return res.json({ ...guarantor.toObject(), ...exposure });
+  } catch (error) {
+    return res
+      .status(500)
+      .json({ message: error.message || "Unable to fetch guarantor" });
+  }
+});
+
+// The phone number is the guarantor's key and cannot be changed here.
+router.patch(
+  "/api/admin/guarantors/:id",
+  canManageGuarantors,
+  async (req, res) => {
+    try {
+      const guarantor = await findGuarantor(req, res);
+
+      if (!guarantor) {
+        return;
+      }
+
+      const before = guarantor.toObject();
+
+      guarantor.set(pickGuarantorFields(req.body));
+      await guarantor.save();
+
+      await recordAudit(req, {
+        action: "guarantor.update",
+        entityType: "Guarantor",
+        entityId: guarantor._id,
+        entityLabel: guarantor.phone,
+        before,
+        after: guarantor,
+      });
+
+      return res.json(guarantor);
+    } catch (error) {
+      return res
+        .status(400)
+        .json({ message: error.message || "Unable to update guarantor" });
+    }
+  },
+);
+
+module.exports = router;
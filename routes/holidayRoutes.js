@@ -1,5 +1,8 @@
 const express = require("express");
 const Holiday = require("../models/Holiday");
+const authenticateAdmin = require("../middleware/authenticateAdmin");
+const authenticateCsoOrAdmin = require("../middleware/authenticateCsoOrAdmin");
+const { recordAudit } = require("../services/auditLogService");
 
 const router = express.Router();
 
@@ -18,7 +21,7 @@ const normalizeDateOnly = (value) => {
   return date;
 };
 
-router.get("/api/holidays", async (_req, res) => {
+router.get("/api/holidays", authenticateCsoOrAdmin, async (_req, res) => {
   try {
     const holidays = await Holiday.find().sort({ holiday: 1 });
     return res.json(holidays);
@@ -29,7 +32,7 @@ router.get("/api/holidays", async (_req, res) => {
   }
 });
 
-router.post("/api/holidays", async (req, res) => {
+router.post("/api/holidays", authenticateAdmin, async (req, res) => {
   try {
     const { holiday, reason, isRecurring = false } = req.body || {};
     const normalizedDate = normalizeDateOnly(holiday);
@@ -76,6 +79,15 @@ router.post("/api/holidays", async (req, res) => {
       isRecurring: isRecurringBool,
     });
 
+    await recordAudit(req, {
+      action: "holiday.create",
+      entityType: "Holiday",
+      entityId: created._id,
+      entityLabel: created.reason,
+      before: {},
+      after: created,
+    });
+
     return res.status(201).json(created);
   } catch (error) {
     return res
@@ -84,7 +96,7 @@ router.post("/api/holidays", async (req, res) => {
   }
 });
 
-router.delete("/api/holidays/:id", async (req, res) => {
+router.delete("/api/holidays/:id", authenticateAdmin, async (req, res) => {
   try {
     const { id } = req.params;
     const deleted = await Holiday.findByIdAndDelete(id);
@@ -93,6 +105,15 @@ router.delete("/api/holidays/:id", async (req, res) => {
       return res.status(404).json({ message: "Holiday not found" });
     }
 
+    await recordAudit(req, {
+      action: "holiday.delete",
+      entityType: "Holiday",
+      entityId: deleted._id,
+      entityLabel: deleted.reason,
+      before: deleted,
+      after: {},
+    });
+
     return res.json({ message: "Holiday deleted" });
   } catch (error) {
     return res
@@ -1,8 +1,14 @@
 const express = require("express");
 const Interest = require("../models/NewInterest");
+const authenticateCsoOrAdmin = require("../middleware/authenticateCsoOrAdmin");
+const authorizeAdmin = require("../middleware/authorizeAdmin");
+const { PERMISSIONS } = require("../config/permissions");
+const { recordAudit } = require("../services/auditLogService");
 
 const router = express.Router();
 
+const canSetInterest = authorizeAdmin(PERMISSIONS.SET_INTEREST);
+
 function parseAmount(value) {
   if (value === undefined || value === null || value === "") {
     return null;
@@ -12,7 +18,7 @@ function parseAmount(value) {
   return Number.isFinite(number) ? number : null;
 }
 
-router.get("/api/interest", async (_req, res) => {
+router.get("/api/interest", authenticateCsoOrAdmin, async (_req, res) => {
   try {
     const interest = await Interest.findOne({}, null, { sort: { createdAt: -1 } }).lean();
     return res.json(interest || null);
@@ -21,7 +27,7 @@ router.get("/api/interest", async (_req, res) => {
   }
 });
 
-router.post("/api/interest", async (req, res) => {
+router.post("/api/interest", canSetInterest, async (req, res) => {
   try {
     const amount = parseAmount(req.body.amount);
     const description = typeof req.body.description === "string" ? req.body.description.trim() : "";
@@ -34,12 +40,25 @@ router.post("/api/interest", async (req, res) => {
       return res.status(400).json({ message: "Description is required" });
     }
 
+    const previous = await Interest.findOne({}).lean();
+
     const updated = await Interest.findOneAndUpdate(
       {},
       { $set: { amount, description } },
       { new: true, upsert: true, setDefaultsOnInsert: true }
     ).lean();
 
+    await recordAudit(req, {
+      action: "interest.set",
+      entityType: "Interest",
+      entityId: updated._id,
+      entityLabel: description,
+      before: previous
+        ? { amount: previous.amount, description: previous.description }
+        : {},
+      after: { amount: updated.amount, description: updated.description },
+    });
+
     return res.status(201).json(updated);
   } catch (error) {
     return res.status(400).json({ message: error.message || "Unable to set interest" });
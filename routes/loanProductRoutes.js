@@ -0,0 +1,202 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const LoanProduct = require("../models/LoanProduct");
+const Loan = require("../models/loan");
+const authenticateCsoOrAdmin = require("../middleware/authenticateCsoOrAdmin");
+const authorizeAdmin = require("../middleware/authorizeAdmin");
+const { PERMISSIONS } = require("../config/permissions");
+const { recordAudit } = require("../services/auditLogService");
+
+const router = express.Router();
+
+const canManageLoanProducts = authorizeAdmin(PERMISSIONS.MANAGE_LOAN_PRODUCTS);
+
+const EDITABLE_FIELDS = [
+  "name",
+  "frequency",
+  "installmentCount",
+  "interestRate",
+  "formFee",
+  "insuranceFee",
+  "minAmount",
+  "maxAmount",
+  "isDefault",
+  "isActive",
+];
+
+function pickProductFields(body = {}) {
+  return EDITABLE_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) {
+      fields[key] = body[key];
+    }
+    return fields;
+  }, {});
+}
+
+router.get("/api/loan-products", authenticateCsoOrAdmin, async (req, res) => {
+  try {
+    const filter = {};
+
+    if (req.query.active === "true") {
+      filter.isActive = true;
+    } else if (req.query.active === "false") {
+      filter.isActive = false;
+    }
+
+    const products = await LoanProduct.find(filter)
+      .sort({ frequency: 1, name: 1 })
+      .lean();
+
+    return res.json(products);
+  } catch (error) {
+    return res
+      .status(500)
+      .json({ message: error.message || "Unable to fetch loan products" });
+  }
+});
+
+router.get(
+  "/api/loan-products/:id",
+  authenticateCsoOrAdmin,
+  async (req, res) => {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ message: "Invalid loan product id" });
+      }
+
+      const product = await LoanProduct.findById(req.params.id).lean();
+
+      if (!product) {
+        return res.status(404).json({ message: "Loan product not found" });
+      }
+
+      return res.json(product);
+    } catch (error) {
+      return res
+        .status(500)
+        .json({ message: error.message || "Unable to fetch loan product" });
+    }
+  },
+);
+
+router.post("/api/loan-products", canManageLoanProducts, async (req, res) => {
+  try {
+    const product = await LoanProduct.create(pickProductFields(req.body));
+
+    await recordAudit(req, {
+      action: "loan-product.create",
+      entityType: "LoanProduct",
+      entityId: product._id,
+      entityLabel: product.name,
+      before: {},
+      after: product,
+    });
+
+    return res.status(201).json(product);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res
+        .status(409)
+        .json({ message: "A loan product with this name already exists" });
+    }
+
+    return res
+      .status(400)
+      .json({ message: error.message || "Unable to create loan product" });
+  }
+});
+
+// Existing loans keep the terms snapshotted on them at submission/approval,
+// so edits here only affect loans approved afterwards.
+router.patch(
+  "/api/loan-products/:id",
+  canManageLoanProducts,
+  async (req, res) => {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ message: "Invalid loan product id" });
+      }
+
+      const product = await LoanProduct.findById(req.params.id);
+
+      if (!product) {
+        return res.status(404).json({ message: "Loan product not found" });
+      }
+
+      const before = product.toObject();
+
+      product.set(pickProductFields(req.body));
+      await product.save();
+
+      await recordAudit(req, {
+        action: "loan-product.update",
+        entityType: "LoanProduct",
+        entityId: product._id,
+        entityLabel: product.name,
+        before,
+        after: product,
+      });
+
+      return res.json(product);
+    } catch (error) {
+      if (error.code === 11000) {
+        return res
+          .status(409)
+          .json({ message: "A loan product with this name already exists" });
+      }
+
+      return res
+        .status(400)
+        .json({ message: error.message || "Unable to update loan product" });
+    }
+  },
+);
+
+router.delete(
+  "/api/loan-products/:id",
+  canManageLoanProducts,
+  async (req, res) => {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ message: "Invalid loan product id" });
+      }
+
+      const product = await LoanProduct.findById(req.params.id);
+
+      if (!product) {
+        return res.status(404).json({ message: "Loan product not found" });
+      }
+
+      const linkedLoans = await Loan.countDocuments({
+        loanProduct: product._id,
+      });
+
+      if (linkedLoans > 0) {
+        return res.status(409).json({
+          message:
+            "Loan product is used by existing loans; deactivate it instead",
+        });
+      }
+
+      const before = product.toObject();
+      await product.deleteOne();
+
+      await recordAudit(req, {
+        action: "loan-product.delete",
+        entityType: "LoanProduct",
+        entityId: product._id,
+        entityLabel: product.name,
+        before,
+        after: {},
+      });
+
+      return res.json({ message: "Loan product deleted" });
+    } catch (error) {
+      return res
+        .status(500)
+        .json({ message: error.message || "Unable to delete loan product" });
+    }
+  },
+);
+
+module.exports = router;
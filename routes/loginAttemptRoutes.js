@@ -0,0 +1,102 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const LoginAttempt = require("../models/LoginAttempt");
+const authenticateAdmin = require("../middleware/authenticateAdmin");
+const authorizeAdmin = require("../middleware/authorizeAdmin");
+const { PERMISSIONS } = require("../config/permissions");
+const { recordAudit } = require("../services/auditLogService");
+const { getRetryAt } = require("../services/loginAttemptService");
+
+const router = express.Router();
+
+const canManageLoginLockouts = authorizeAdmin(
+  PERMISSIONS.MANAGE_LOGIN_LOCKOUTS
+);
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function formatAttempt(attempt, now) {
+  const retryAt = getRetryAt(attempt, now);
+
+  return {
+    ...attempt,
+    isLocked: Boolean(attempt.lockedUntil && attempt.lockedUntil > now),
+    retryAfter: retryAt ? Math.ceil((retryAt - now) / 1000) : 0,
+  };
+}
+
+// Live failure counters for the sign-in endpoints. Pass locked=true for
+// only the ones currently locked out.
+router.get("/api/admin/login-attempts", authenticateAdmin, async (req, res) => {
+  try {
+    const now = new Date();
+    const search = req.query.search ? String(req.query.search).trim() : "";
+    const filter = { expiresAt: { $gt: now } };
+
+    if (req.query.locked === "true") {
+      filter.lockedUntil = { $gt: now };
+    }
+
+    if (req.query.action) {
+      filter.action = String(req.query.action);
+    }
+
+    if (search) {
+      filter.identifier = { $regex: escapeRegex(search), $options: "i" };
+    }
+
+    const attempts = await LoginAttempt.find(filter)
+      .sort({ lastFailureAt: -1 })
+      .limit(200)
+      .lean();
+
+    return res.json({
+      attempts: attempts.map((attempt) => formatAttempt(attempt, now)),
+    });
+  } catch (error) {
+    return res
+      .status(500)
+      .json({ message: error.message || "Unable to fetch login attempts" });
+  }
+});
+
+// Clears the counter, lifting any delay or lockout it imposes.
+router.delete(
+  "/api/admin/login-attempts/:id",
+  canManageLoginLockouts,
+  async (req, res) => {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ message: "Invalid login attempt id" });
+      }
+
+      const attempt = await LoginAttempt.findByIdAndDelete(req.params.id);
+
+      if (!attempt) {
+        return res.status(404).json({ message: "Login attempt not found" });
+      }
+
+      await recordAudit(req, {
+        action: "login-attempt.clear",
+        entityType: "LoginAttempt",
+        entityId: attempt._id,
+        entityLabel: attempt.key,
+        before: {
+          failures: attempt.failures,
+          lockedUntil: attempt.lockedUntil || null,
+        },
+        after: {},
+      });
+
+      return res.json({ message: "Login attempts cleared" });
+    } catch (error) {
+      return res
+        .status(400)
+        .json({ message: error.message || "Unable to clear login attempts" });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,73 @@
+const express = require("express");
+const PaymentAllocationSetting = require("../models/PaymentAllocationSetting");
+const authenticateAdmin = require("../middleware/authenticateAdmin");
+const authorizeAdmin = require("../middleware/authorizeAdmin");
+const { PERMISSIONS } = require("../config/permissions");
+const { recordAudit } = require("../services/auditLogService");
+const { getAllocationOrder } = require("../services/paymentAllocationService");
+
+const router = express.Router();
+
+const canManagePaymentAllocation = authorizeAdmin(
+  PERMISSIONS.MANAGE_PAYMENT_ALLOCATION,
+);
+
+router.get(
+  "/api/admin/payment-allocation",
+  authenticateAdmin,
+  async (req, res) => {
+    try {
+      const order = await getAllocationOrder();
+      return res.json({ order });
+    } catch (error) {
+      return res.status(500).json({
+        message: error.message || "Unable to fetch payment allocation order",
+      });
+    }
+  },
+);
+
+// Only applies to payments recorded after the change; existing payments keep
+// the split stored on them.
+router.put(
+  "/api/admin/payment-allocation",
+  canManagePaymentAllocation,
+  async (req, res) => {
+    try {
+      const { order } = req.body || {};
+
+      if (!Array.isArray(order)) {
+        return res.status(400).json({ message: "order must be an array" });
+      }
+
+      const previousOrder = await getAllocationOrder();
+      const setting = await PaymentAllocationSetting.findOneAndUpdate(
+        {},
+        { $set: { order } },
+        {
+          new: true,
+          upsert: true,
+          setDefaultsOnInsert: true,
+          runValidators: true,
+        },
+      ).lean();
+
+      await recordAudit(req, {
+        action: "payment-allocation.update",
+        entityType: "PaymentAllocationSetting",
+        entityId: setting._id,
+        entityLabel: "Payment allocation order",
+        before: { order: previousOrder },
+        after: { order: setting.order },
+      });
+
+      return res.json({ order: setting.order });
+    } catch (error) {
+      return res.status(400).json({
+        message: error.message || "Unable to update payment allocation order",
+      });
+    }
+  },
+);
+
+module.exports = router;
@@ -0,0 +1,293 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const Loan = require("../models/loan");
+const PenaltyRule = require("../models/PenaltyRule");
+const authenticateAdmin = require("../middleware/authenticateAdmin");
+const authorizeAdmin = require("../middleware/authorizeAdmin");
+const { PERMISSIONS } = require("../config/permissions");
+const { recordAudit, resolveActor } = require("../services/auditLogService");
+const {
+  getPenaltyRules,
+  getOutstandingPenalty,
+} = require("../services/penaltyService");
+const { runPenaltyJob } = require("../jobs/penaltyJob");
+
+const router = express.Router();
+
+const canManagePenalties = authorizeAdmin(PERMISSIONS.MANAGE_PENALTIES);
+
+const RULE_FIELDS = [
+  "isEnabled",
+  "flatPerMissedInstallment",
+  "percentageOfArrears",
+  "graceDays",
+  "capAmount",
+  "effectiveFrom",
+];
+
+function parseAmount(value) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+
+  const number = Number(value);
+  return Number.isFinite(number) ? Number(number.toFixed(2)) : null;
+}
+
+function buildPenaltySummary(loan) {
+  const entries = [...(loan.penalties || [])].sort(
+    (first, second) => new Date(second.date) - new Date(first.date),
+  );
+
+  return {
+    loanId: loan.loanId,
+    penalty: loan.loanDetails?.penalty || 0,
+    penaltyPaid: loan.loanDetails?.penaltyPaid || 0,
+    outstanding: getOutstandingPenalty(loan),
+    entries,
+  };
+}
+
+async function findLoanForPenalty(req, res) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ message: "Invalid loan id" });
+    return null;
+  }
+
+  const loan = await Loan.findById(req.params.id);
+
+  if (!loan) {
+    res.status(404).json({ message: "Loan not found" });
+    return null;
+  }
+
+  return loan;
+}
+
+// Manual entries move loanDetails.penalty by the same signed amount as the
+// ledger entry they add.
+async function recordManualEntry(req, loan, { kind, amount, reason }) {
+  const before = { loanDetails: { penalty: loan.loanDetails?.penalty || 0 } };
+  const actor = resolveActor(req);
+  const entry = {
+    kind,
+    amount,
+    date: new Date(),
+    reason,
+    recordedBy: { type: actor.type, id: actor.id, name: actor.name },
+  };
+
+  loan.penalties.push(entry);
+  loan.loanDetails.penalty = Number(
+    ((loan.loanDetails.penalty || 0) + amount).toFixed(2),
+  );
+  await loan.save();
+
+  await recordAudit(req, {
+    action: `loan.penalty-${kind === "waiver" ? "waive" : "adjust"}`,
+    entityType: "Loan",
+    entityId: loan._id,
+    entityLabel: loan.loanId,
+    before,
+    after: { loanDetails: { penalty: loan.loanDetails.penalty } },
+    metadata: { amount, reason },
+  });
+}
+
+router.get("/api/admin/penalty-rules", authenticateAdmin, async (req, res) => {
+  try {
+    const rules = await getPenaltyRules();
+    return res.json(rules);
+  } catch (error) {
+    return res
+      .status(500)
+      .json({ message: error.message || "Unable to fetch penalty rules" });
+  }
+});
+
+router.put("/api/admin/penalty-rules", canManagePenalties, async (req, res) => {
+  try {
+    const updates = RULE_FIELDS.reduce((fields, key) => {
+      if (req.body?.[key] !== undefined) {
+        fields[key] = req.body[key];
+      }
+      return fields;
+    }, {});
+
+    const previous = await PenaltyRule.findOne({}).lean();
+    const rules = await PenaltyRule.findOneAndUpdate(
+      {},
+      { $set: updates },
+      {
+        new: true,
+        upsert: true,
+        setDefaultsOnInsert: true,
+        runValidators: true,
+      },
+    ).lean();
+
+    await recordAudit(req, {
+      action: "penalty-rules.update",
+      entityType: "PenaltyRule",
+      entityId: rules._id,
+      entityLabel: "Penalty rules",
+      before: previous || {},
+      after: rules,
+    });
+
+    return res.json(rules);
+  } catch (error) {
+    return res
+      .status(400)
+      .json({ message: error.message || "Unable to update penalty rules" });
+  }
+});
+
+router.post(
+  "/api/admin/penalties/run",
+  canManagePenalties,
+  async (req, res) => {
+    try {
+      const asOfDate = req.body?.asOf ? new Date(req.body.asOf) : new Date();
+
+      if (Number.isNaN(asOfDate.getTime())) {
+        return res.status(400).json({ message: "Invalid asOf date" });
+      }
+
+      // Charges are keyed by installment and never re-run, so charging
+      // installments that are not due yet could not be undone.
+      if (asOfDate > new Date()) {
+        return res
+          .status(400)
+          .json({ message: "asOf cannot be in the future" });
+      }
+
+      const summary = await runPenaltyJob({ asOfDate });
+      return res.json(summary);
+    } catch (error) {
+      return res
+        .status(500)
+        .json({ message: error.message || "Unable to run penalty job" });
+    }
+  },
+);
+
+router.get(
+  "/api/admin/loans/:id/penalties",
+  authenticateAdmin,
+  async (req, res) => {
+    try {
+      const loan = await findLoanForPenalty(req, res);
+
+      if (!loan) {
+        return;
+      }
+
+      return res.json(buildPenaltySummary(loan));
+    } catch (error) {
+      return res
+        .status(500)
+        .json({ message: error.message || "Unable to fetch penalties" });
+    }
+  },
+);
+
+router.post(
+  "/api/admin/loans/:id/penalties/waive",
+  canManagePenalties,
+  async (req, res) => {
+    try {
+      const reason =
+        typeof req.body?.reason === "string" ? req.body.reason.trim() : "";
+
+      if (!reason) {
+        return res.status(400).json({ message: "Reason is required" });
+      }
+
+      const loan = await findLoanForPenalty(req, res);
+
+      if (!loan) {
+        return;
+      }
+
+      const outstanding = getOutstandingPenalty(loan);
+      const requested = parseAmount(req.body?.amount);
+      const amount = requested === null ? outstanding : requested;
+
+      if (amount <= 0) {
+        return res
+          .status(400)
+          .json({ message: "There is no outstanding penalty to waive" });
+      }
+
+      if (amount > outstanding) {
+        return res.status(400).json({
+          message: `Waiver cannot exceed the outstanding penalty of ${outstanding}`,
+        });
+      }
+
+      await recordManualEntry(req, loan, {
+        kind: "waiver",
+        amount: -amount,
+        reason,
+      });
+
+      return res.json(buildPenaltySummary(loan));
+    } catch (error) {
+      return res
+        .status(400)
+        .json({ message: error.message || "Unable to waive penalty" });
+    }
+  },
+);
+
+router.post(
+  "/api/admin/loans/:id/penalties/adjust",
+  canManagePenalties,
+  async (req, res) => {
+    try {
+      const reason =
+        typeof req.body?.reason === "string" ? req.body.reason.trim() : "";
+      const amount = parseAmount(req.body?.amount);
+
+      if (!reason) {
+        return res.status(400).json({ message: "Reason is required" });
+      }
+
+      if (amount === null || amount === 0) {
+        return res
+          .status(400)
+          .json({ message: "Provide a non-zero adjustment amount" });
+      }
+
+      const loan = await findLoanForPenalty(req, res);
+
+      if (!loan) {
+        return;
+      }
+
+      const penaltyPaid = loan.loanDetails?.penaltyPaid || 0;
+
+      if ((loan.loanDetails?.penalty || 0) + amount < penaltyPaid) {
+        return res.status(400).json({
+          message:
+            "Adjustment would reduce the penalty below what is already paid",
+        });
+      }
+
+      await recordManualEntry(req, loan, {
+        kind: "adjustment",
+        amount,
+        reason,
+      });
+
+      return res.json(buildPenaltySummary(loan));
+    } catch (error) {
+      return res
+        .status(400)
+        .json({ message: error.message || "Unable to adjust penalty" });
+    }
+  },
+);
+
+module.exports = router;
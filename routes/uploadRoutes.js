@@ -2,6 +2,7 @@ const express = require("express");
 const multer = require("multer");
 const fs = require("fs");
 const path = require("path");
+const authenticateCsoOrAdmin = require("../middleware/authenticateCsoOrAdmin");
 
 const router = express.Router();
 
@@ -22,6 +23,7 @@ const upload = multer({ storage });
 
 router.post(
   "/api/fileupload/:folderName",
+  authenticateCsoOrAdmin,
   upload.single("file"),
   async (req, res) => {
     try {
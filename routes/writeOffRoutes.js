@@ -0,0 +1,295 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const Loan = require("../models/loan");
+const authenticateAdmin = require("../middleware/authenticateAdmin");
+const authorizeAdmin = require("../middleware/authorizeAdmin");
+const { PERMISSIONS } = require("../config/permissions");
+const { recordAudit, resolveActor } = require("../services/auditLogService");
+const { getPayoffBalance } = require("../services/loanRenewalService");
+const { toCurrencyNumber } = require("../utils/money");
+
+const router = express.Router();
+
+const canRequestWriteOffs = authorizeAdmin(PERMISSIONS.REQUEST_WRITE_OFFS);
+const canApproveWriteOffs = authorizeAdmin(PERMISSIONS.APPROVE_WRITE_OFFS);
+
+const WRITE_OFF_STATUSES = ["pending", "approved", "rejected"];
+
+function getRecoveredAmount(loan) {
+  const payments = Array.isArray(loan?.loanDetails?.dailyPayment)
+    ? loan.loanDetails.dailyPayment
+    : [];
+
+  return toCurrencyNumber(
+    payments
+      .filter((payment) => payment?.source === "recovery")
+      .reduce((total, payment) => total + (Number(payment.amount) || 0), 0),
+  );
+}
+
+function buildWriteOffSummary(loan) {
+  const writeOff = loan.writeOff || {};
+  const recovered = getRecoveredAmount(loan);
+
+  return {
+    _id: loan._id,
+    loanId: loan.loanId,
+    status: loan.status,
+    customerName:
+      `${loan.customerDetails?.firstName || ""} ${loan.customerDetails?.lastName || ""}`.trim(),
+    csoId: loan.csoId,
+    csoName: loan.csoName,
+    branch: loan.branch,
+    writeOff,
+    outstandingBalance: getPayoffBalance(loan),
+    recovered,
+    netWrittenOff: toCurrencyNumber(
+      Math.max(0, (writeOff.amount || 0) - recovered),
+    ),
+  };
+}
+
+async function findLoanForWriteOff(req, res) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ message: "Invalid loan id" });
+    return null;
+  }
+
+  const loan = await Loan.findById(req.params.id);
+
+  if (!loan) {
+    res.status(404).json({ message: "Loan not found" });
+    return null;
+  }
+
+  return loan;
+}
+
+async function auditWriteOff(req, action, loan, before, metadata) {
+  await recordAudit(req, {
+    action,
+    entityType: "Loan",
+    entityId: loan._id,
+    entityLabel: loan.loanId,
+    before: { status: before.status, writeOff: before.writeOff || null },
+    after: { status: loan.status, writeOff: loan.writeOff?.toObject() || null },
+    metadata,
+  });
+}
+
+router.get("/api/admin/write-offs", authenticateAdmin, async (req, res) => {
+  try {
+    const { status } = req.query;
+    const filter = { writeOff: { $exists: true } };
+
+    if (status) {
+      if (!WRITE_OFF_STATUSES.includes(status)) {
+        return res.status(400).json({
+          message: `status must be one of ${WRITE_OFF_STATUSES.join(", ")}`,
+        });
+      }
+
+      filter["writeOff.status"] = status;
+    }
+
+    const loans = await Loan.find(filter)
+      .select(
+        "loanId status customerDetails.firstName customerDetails.lastName csoId csoName branch loanDetails writeOff",
+      )
+      .sort({ "writeOff.requestedAt": -1 })
+      .lean();
+
+    const writeOffs = loans.map(buildWriteOffSummary);
+    const approved = writeOffs.filter(
+      (entry) => entry.writeOff.status === "approved",
+    );
+
+    return res.json({
+      writeOffs,
+      totals: {
+        pending: writeOffs.filter(
+          (entry) => entry.writeOff.status === "pending",
+        ).length,
+        writtenOff: toCurrencyNumber(
+          approved.reduce(
+            (sum, entry) => sum + (entry.writeOff.amount || 0),
+            0,
+          ),
+        ),
+        recovered: toCurrencyNumber(
+          approved.reduce((sum, entry) => sum + entry.recovered, 0),
+        ),
+      },
+    });
+  } catch (error) {
+    return res
+      .status(500)
+      .json({ message: error.message || "Unable to fetch write-offs" });
+  }
+});
+
+router.post(
+  "/api/admin/loans/:id/write-off",
+  canRequestWriteOffs,
+  async (req, res) => {
+    try {
+      const reason =
+        typeof req.body?.reason === "string" ? req.body.reason.trim() : "";
+
+      if (!reason) {
+        return res.status(400).json({ message: "Reason is required" });
+      }
+
+      const loan = await findLoanForWriteOff(req, res);
+
+      if (!loan) {
+        return;
+      }
+
+      if (loan.status !== "active loan") {
+        return res
+          .status(400)
+          .json({ message: "Only active loans can be written off" });
+      }
+
+      if (loan.writeOff?.status === "pending") {
+        return res
+          .status(409)
+          .json({ message: "A write-off is already awaiting approval" });
+      }
+
+      const before = loan.toObject();
+      const actor = resolveActor(req);
+
+      loan.writeOff = {
+        status: "pending",
+        reason,
+        amount: getPayoffBalance(loan),
+        requestedAt: new Date(),
+        requestedBy: { type: actor.type, id: actor.id, name: actor.name },
+      };
+
+      await loan.save();
+      await auditWriteOff(req, "loan.write-off-request", loan, before, {
+        reason,
+      });
+
+      return res.status(201).json(buildWriteOffSummary(loan));
+    } catch (error) {
+      return res
+        .status(400)
+        .json({ message: error.message || "Unable to request write-off" });
+    }
+  },
+);
+
+// The approver must be a different admin from the one who requested it.
+// The amount is recomputed so payments made while the request was pending
+// are not written off.
+router.patch(
+  "/api/admin/loans/:id/write-off/approve",
+  canApproveWriteOffs,
+  async (req, res) => {
+    try {
+      const loan = await findLoanForWriteOff(req, res);
+
+      if (!loan) {
+        return;
+      }
+
+      if (
+        loan.writeOff?.status !== "pending" ||
+        loan.status !== "active loan"
+      ) {
+        return res
+          .status(400)
+          .json({ message: "No pending write-off for this loan" });
+      }
+
+      const actor = resolveActor(req);
+
+      if (loan.writeOff.requestedBy?.id === actor.id) {
+        return res.status(403).json({
+          message: "A write-off must be approved by a different admin",
+        });
+      }
+
+      const before = loan.toObject();
+      const now = new Date();
+
+      loan.writeOff.status = "approved";
+      loan.writeOff.amount = getPayoffBalance(loan);
+      loan.writeOff.reviewedAt = now;
+      loan.writeOff.reviewedBy = {
+        type: actor.type,
+        id: actor.id,
+        name: actor.name,
+      };
+      loan.writeOff.writtenOffAt = now;
+      loan.status = "written off";
+
+      await loan.save();
+      await auditWriteOff(req, "loan.write-off-approve", loan, before, {
+        amount: loan.writeOff.amount,
+      });
+
+      return res.json(buildWriteOffSummary(loan));
+    } catch (error) {
+      return res
+        .status(400)
+        .json({ message: error.message || "Unable to approve write-off" });
+    }
+  },
+);
+
+router.patch(
+  "/api/admin/loans/:id/write-off/reject",
+  canApproveWriteOffs,
+  async (req, res) => {
+    try {
+      const reason =
+        typeof req.body?.reason === "string" ? req.body.reason.trim() : "";
+
+      if (!reason) {
+        return res.status(400).json({ message: "Reason is required" });
+      }
+
+      const loan = await findLoanForWriteOff(req, res);
+
+      if (!loan) {
+        return;
+      }
+
+      if (loan.writeOff?.status !== "pending") {
+        return res
+          .status(400)
+          .json({ message: "No pending write-off for this loan" });
+      }
+
+      const before = loan.toObject();
+      const actor = resolveActor(req);
+
+      loan.writeOff.status = "rejected";
+      loan.writeOff.rejectionReason = reason;
+      loan.writeOff.reviewedAt = new Date();
+      loan.writeOff.reviewedBy = {
+        type: actor.type,
+        id: actor.id,
+        name: actor.name,
+      };
+
+      await loan.save();
+      await auditWriteOff(req, "loan.write-off-reject", loan, before, {
+        reason,
+      });
+
+      return res.json(buildWriteOffSummary(loan));
+    } catch (error) {
+      return res
+        .status(400)
+        .json({ message: error.message || "Unable to reject write-off" });
+    }
+  },
+);
+
+module.exports = router;
@@ -0,0 +1,32 @@
+const ApprovalTierSetting = require("../models/ApprovalTierSetting");
+const { SUPER_ADMIN_ROLE } = require("../config/permissions");
+
+async function getApprovalTiers() {
+  const setting = await ApprovalTierSetting.findOne({}).lean();
+  const tiers = setting?.tiers?.length
+    ? setting.tiers
+    : new ApprovalTierSetting().toObject().tiers;
+
+  return [...tiers].sort((first, second) => first.minAmount - second.minAmount);
+}
+
+// Highest tier whose minAmount the amount reaches
+function resolveApprovalTier(tiers, amount) {
+  return tiers.reduce(
+    (selected, tier) => (amount >= tier.minAmount ? tier : selected),
+    tiers[0]
+  );
+}
+
+function canApproveLevel(level, role) {
+  const roles = level?.roles || [];
+  return (
+    role === SUPER_ADMIN_ROLE || roles.length === 0 || roles.includes(role)
+  );
+}
+
+module.exports = {
+  getApprovalTiers,
+  resolveApprovalTier,
+  canApproveLevel,
+};
@@ -0,0 +1,169 @@
+const mongoose = require("mongoose");
+const AuditLog = require("../models/AuditLog");
+const { SUPER_ADMIN_ROLE } = require("../config/permissions");
+
+function toPlain(value) {
+  if (!value) {
+    return {};
+  }
+
+  if (typeof value.toObject === "function") {
+    return value.toObject({ depopulate: true });
+  }
+
+  return value;
+}
+
+function normalizeValue(value) {
+  if (value === undefined) {
+    return null;
+  }
+
+  if (value instanceof mongoose.Types.ObjectId) {
+    return value.toHexString();
+  }
+
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+
+  return value;
+}
+
+function isPlainObject(value) {
+  return (
+    value !== null &&
+    typeof value === "object" &&
+    !Array.isArray(value) &&
+    !(value instanceof Date) &&
+    !(value instanceof mongoose.Types.ObjectId)
+  );
+}
+
+function flatten(source, prefix, output) {
+  Object.keys(source || {}).forEach((key) => {
+    if (key === "__v" || key === "updatedAt") {
+      return;
+    }
+
+    const path = prefix ? `${prefix}.${key}` : key;
+    const value = source[key];
+
+    if (isPlainObject(value)) {
+      flatten(value, path, output);
+    } else {
+      output[path] = normalizeValue(value);
+    }
+  });
+
+  return output;
+}
+
+// Arrays (payments, schedules, remittance entries) are compared as a whole
+// so the log shows the previous and next list rather than per-index noise.
+function diffSnapshots(before, after, ignore = []) {
+  const flatBefore = flatten(toPlain(before), "", {});
+  const flatAfter = flatten(toPlain(after), "", {});
+  const keys = new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)]);
+  const changes = [];
+
+  keys.forEach((field) => {
+    if (
+      ignore.some(
+        (ignored) => field === ignored || field.startsWith(`${ignored}.`)
+      )
+    ) {
+      return;
+    }
+
+    const previous = flatBefore[field] ?? null;
+    const next = flatAfter[field] ?? null;
+
+    if (JSON.stringify(previous) !== JSON.stringify(next)) {
+      changes.push({ field, before: previous, after: next });
+    }
+  });
+
+  return changes.sort((first, second) =>
+    first.field.localeCompare(second.field)
+  );
+}
+
+function resolveActor(req) {
+  if (req?.admin) {
+    const isSuperAdmin = req.adminRole === SUPER_ADMIN_ROLE;
+    const name = [req.admin.firstName, req.admin.lastName]
+      .filter(Boolean)
+      .join(" ");
+
+    return {
+      type: isSuperAdmin ? "admin" : "admin-member",
+      id: req.admin._id ? req.admin._id.toString() : null,
+      name: name || req.admin.email || "",
+      role: req.adminRole || "",
+    };
+  }
+
+  if (req?.cso) {
+    return {
+      type: "cso",
+      id: req.cso._id ? req.cso._id.toString() : null,
+      name: [req.cso.firstName, req.cso.lastName].filter(Boolean).join(" "),
+      role: "CSO",
+    };
+  }
+
+  return { type: "system", id: null, name: "System", role: "" };
+}
+
+function buildEntry(
+  req,
+  { action, entityType, entityId, entityLabel, before, after, ignore, metadata }
+) {
+  return {
+    actor: resolveActor(req),
+    action,
+    entity: {
+      type: entityType,
+      id: entityId ? entityId.toString() : "",
+      label: entityLabel || "",
+    },
+    changes: diffSnapshots(before, after, ignore),
+    metadata: metadata || {},
+  };
+}
+
+/**
+ * Persist a single audit entry. Failures are logged rather than thrown so a
+ * committed mutation is never reported back to the caller as failed.
+ */
+async function recordAudit(req, details) {
+  try {
+    return await AuditLog.create(buildEntry(req, details));
+  } catch (error) {
+    console.error(`Failed to write audit log for ${details?.action}`, error);
+    return null;
+  }
+}
+
+async function recordAuditBatch(req, entries) {
+  if (!Array.isArray(entries) || entries.length === 0) {
+    return [];
+  }
+
+  try {
+    return await AuditLog.insertMany(
+      entries.map((entry) => buildEntry(req, entry))
+    );
+  } catch (error) {
+    console.error("Failed to write audit log batch", error);
+    return [];
+  }
+}
+
+module.exports = {
+  recordAudit,
+  recordAuditBatch,
+  diffSnapshots,
+  resolveActor,
+};
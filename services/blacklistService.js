@@ -0,0 +1,90 @@
+const BlacklistEntry = require("../models/BlacklistEntry");
+
+function normalizeValue(value) {
+  return value === undefined || value === null ? "" : String(value).trim();
+}
+
+function getBlacklistKeys(customerDetails = {}) {
+  return [
+    { type: "bvn", value: normalizeValue(customerDetails.bvn) },
+    { type: "nin", value: normalizeValue(customerDetails.nin) },
+    { type: "phone", value: normalizeValue(customerDetails.phoneOne) },
+  ].filter((key) => key.value);
+}
+
+async function findBlacklistMatches(customerDetails) {
+  const keys = getBlacklistKeys(customerDetails);
+
+  if (keys.length === 0) {
+    return [];
+  }
+
+  return BlacklistEntry.find({ isActive: true, $or: keys });
+}
+
+function summarizeEntry(entry) {
+  return {
+    _id: entry._id,
+    type: entry.type,
+    value: entry.value,
+    reason: entry.reason,
+    addedBy: entry.addedBy,
+    createdAt: entry.createdAt,
+  };
+}
+
+function isOverriddenFor(entry, loanId) {
+  return (entry.overrides || []).some(
+    (override) => override.loan && loanId && override.loan.equals(loanId)
+  );
+}
+
+function getPendingOverride(entry) {
+  return (entry.overrides || []).find((override) => !override.loan);
+}
+
+// Entries that still block a loan. Pass no loanId for a new submission,
+// where an override granted ahead of time is enough.
+function getBlockingEntries(entries, loanId = null) {
+  return entries.filter((entry) =>
+    loanId ? !isOverriddenFor(entry, loanId) : !getPendingOverride(entry)
+  );
+}
+
+// Ties overrides granted ahead of a submission to the loan they let through.
+async function consumePendingOverrides(entries, loanId) {
+  for (const entry of entries) {
+    const override = getPendingOverride(entry);
+
+    if (override) {
+      override.loan = loanId;
+      await entry.save();
+    }
+  }
+}
+
+function buildLoanOverrideRecords(entries, loanId) {
+  return entries.map((entry) => {
+    const override = entry.overrides.find(
+      (candidate) => candidate.loan && candidate.loan.equals(loanId)
+    );
+
+    return {
+      entry: entry._id,
+      type: entry.type,
+      value: entry.value,
+      reason: override?.reason,
+      overriddenBy: override?.overriddenBy,
+      overriddenAt: override?.overriddenAt,
+    };
+  });
+}
+
+module.exports = {
+  getBlacklistKeys,
+  findBlacklistMatches,
+  summarizeEntry,
+  getBlockingEntries,
+  consumePendingOverrides,
+  buildLoanOverrideRecords,
+};
@@ -0,0 +1,205 @@
+const Loan = require("../models/loan");
+const { getPayableInstallments } = require("./penaltyService");
+const { getRepaymentPortion } = require("./paymentAllocationService");
+const { toCurrencyNumber } = require("../utils/money");
+const { normalizeDate } = require("../utils/dates");
+
+const SCORED_LOAN_STATUSES = ["active loan", "fully paid", "written off"];
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+const ON_TIME_GRACE_DAYS = 1;
+const MAX_COUNTED_CYCLES = 4;
+
+// Multiplier applied to the largest amount the customer has fully repaid
+const SCORE_BANDS = [
+  { band: "excellent", minScore: 80, multiplier: 1.5 },
+  { band: "good", minScore: 65, multiplier: 1.2 },
+  { band: "fair", minScore: 50, multiplier: 1 },
+  { band: "poor", minScore: 35, multiplier: 0.5 },
+  { band: "very poor", minScore: 0, multiplier: 0 },
+];
+
+/**
+ * Days late for every installment due by asOf. An installment counts as paid
+ * on the day cumulative repayments first cover everything due up to it;
+ * installments still uncovered are late by the days elapsed so far.
+ */
+function getInstallmentDelays(loan, asOfDate = new Date()) {
+  const asOf = normalizeDate(asOfDate);
+  const dailyAmount = Number(loan?.loanDetails?.dailyAmount) || 0;
+  const installments = getPayableInstallments(loan?.repaymentSchedule).filter(
+    (installment) => installment.date <= asOf
+  );
+  const payments = (loan?.loanDetails?.dailyPayment || [])
+    .map((payment) => ({
+      date: normalizeDate(payment?.date),
+      amount: getRepaymentPortion(payment),
+    }))
+    .filter((payment) => payment.date && payment.amount > 0)
+    .sort((first, second) => first.date - second.date);
+
+  let cumulativeDue = 0;
+  let cumulativePaid = 0;
+  let paymentIndex = 0;
+
+  return installments.map((installment) => {
+    cumulativeDue = toCurrencyNumber(
+      cumulativeDue + (Number(installment.amountDue) || dailyAmount)
+    );
+
+    while (
+      cumulativePaid < cumulativeDue - 0.01 &&
+      paymentIndex < payments.length
+    ) {
+      cumulativePaid += payments[paymentIndex].amount;
+      paymentIndex += 1;
+    }
+
+    const coveredOn =
+      cumulativePaid >= cumulativeDue - 0.01 && paymentIndex > 0
+        ? payments[paymentIndex - 1].date
+        : asOf;
+
+    return {
+      date: installment.date,
+      status: installment.status,
+      daysLate: Math.max(
+        0,
+        Math.round((coveredOn - installment.date) / MS_PER_DAY)
+      ),
+    };
+  });
+}
+
+function getBand(score) {
+  return SCORE_BANDS.find((entry) => score >= entry.minScore);
+}
+
+/**
+ * Score a customer's history from 0 to 100 using their disbursed loans.
+ * Customers with no disbursed loan have no score and no recommendation.
+ */
+function buildCreditScore(loans, asOfDate = new Date()) {
+  const history = (loans || []).filter((loan) =>
+    SCORED_LOAN_STATUSES.includes(loan?.status)
+  );
+
+  if (history.length === 0) {
+    return {
+      score: null,
+      band: "new",
+      recommendedMaxAmount: null,
+      factors: { loansScored: 0 },
+    };
+  }
+
+  let installmentCount = 0;
+  let onTimeCount = 0;
+  let totalDaysLate = 0;
+  let partialCount = 0;
+  let penaltyCharged = 0;
+  let totalDebt = 0;
+  let completedCycles = 0;
+  let writeOffs = 0;
+  let largestRepaid = 0;
+
+  history.forEach((loan) => {
+    const delays = getInstallmentDelays(loan, asOfDate);
+
+    installmentCount += delays.length;
+    onTimeCount += delays.filter(
+      (delay) => delay.daysLate <= ON_TIME_GRACE_DAYS
+    ).length;
+    totalDaysLate += delays.reduce((sum, delay) => sum + delay.daysLate, 0);
+    partialCount += delays.filter((delay) => delay.status === "partial").length;
+    penaltyCharged += Number(loan.loanDetails?.penalty) || 0;
+    totalDebt += Number(loan.loanDetails?.amountToBePaid) || 0;
+
+    if (loan.status === "fully paid") {
+      completedCycles += 1;
+      largestRepaid = Math.max(
+        largestRepaid,
+        Number(loan.loanDetails?.amountApproved) || 0
+      );
+    }
+
+    if (loan.status === "written off") {
+      writeOffs += 1;
+    }
+  });
+
+  const onTimeRate = installmentCount > 0 ? onTimeCount / installmentCount : 1;
+  const averageDaysLate =
+    installmentCount > 0 ? totalDaysLate / installmentCount : 0;
+  const partialRate =
+    installmentCount > 0 ? partialCount / installmentCount : 0;
+  const penaltyRatio = totalDebt > 0 ? penaltyCharged / totalDebt : 0;
+
+  const rawScore =
+    30 * onTimeRate +
+    20 * Math.max(0, 1 - averageDaysLate / 15) +
+    10 * (1 - partialRate) +
+    10 * Math.max(0, 1 - penaltyRatio * 10) +
+    (20 * Math.min(completedCycles, MAX_COUNTED_CYCLES)) / MAX_COUNTED_CYCLES +
+    (writeOffs === 0 ? 10 : 0) -
+    40 * writeOffs;
+  const score = Math.round(Math.min(100, Math.max(0, rawScore)));
+  const { band, multiplier } = getBand(score);
+
+  return {
+    score,
+    band,
+    recommendedMaxAmount:
+      largestRepaid > 0 ? toCurrencyNumber(largestRepaid * multiplier) : null,
+    factors: {
+      loansScored: history.length,
+      completedCycles,
+      writeOffs,
+      installmentsDue: installmentCount,
+      onTimeRate: Number(onTimeRate.toFixed(2)),
+      averageDaysLate: Number(averageDaysLate.toFixed(1)),
+      partialInstallments: partialCount,
+      penaltyCharged: toCurrencyNumber(penaltyCharged),
+      largestRepaidAmount: largestRepaid,
+    },
+  };
+}
+
+// Scores for several customers in one query, keyed by BVN.
+async function getCreditScores(bvns, asOfDate = new Date()) {
+  const uniqueBvns = [...new Set((bvns || []).filter(Boolean))];
+  const loans = uniqueBvns.length
+    ? await Loan.find({
+        "customerDetails.bvn": { $in: uniqueBvns },
+        status: { $in: SCORED_LOAN_STATUSES },
+      })
+        .select(
+          "status customerDetails.bvn repaymentSchedule loanDetails.dailyAmount loanDetails.dailyPayment loanDetails.penalty loanDetails.amountToBePaid loanDetails.amountApproved"
+        )
+        .lean()
+    : [];
+
+  const loansByBvn = new Map(uniqueBvns.map((bvn) => [bvn, []]));
+  loans.forEach((loan) => {
+    loansByBvn.get(loan.customerDetails.bvn)?.push(loan);
+  });
+
+  return new Map(
+    [...loansByBvn.entries()].map(([bvn, customerLoans]) => [
+      bvn,
+      buildCreditScore(customerLoans, asOfDate),
+    ])
+  );
+}
+
+async function getCreditScore(bvn, asOfDate = new Date()) {
+  const scores = await getCreditScores([bvn], asOfDate);
+  return scores.get(bvn) || buildCreditScore([], asOfDate);
+}
+
+module.exports = {
+  SCORE_BANDS,
+  getInstallmentDelays,
+  buildCreditScore,
+  getCreditScores,
+  getCreditScore,
+};
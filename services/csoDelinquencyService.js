@@ -1,6 +1,8 @@
 const mongoose = require("mongoose");
 const CSO = require("../models/cso");
 const Loan = require("../models/loan");
+const { getLatestRestructuring } = require("./penaltyService");
+const { toCurrencyNumber } = require("../utils/money");
 
 const ACTIVE_LOAN_STATUSES = ["active loan", "approved"];
 const MIN_OUTSTANDING_THRESHOLD = 0.5;
@@ -16,16 +18,6 @@ function normalizeDate(value) {
   return date;
 }
 
-function toCurrencyNumber(value) {
-  const number = Number(value);
-
-  if (!Number.isFinite(number)) {
-    return 0;
-  }
-
-  return Number(number.toFixed(2));
-}
-
 function differenceInDays(laterDate, earlierDate) {
   if (!(laterDate instanceof Date) || !(earlierDate instanceof Date)) {
     return 0;
@@ -42,7 +34,7 @@ function differenceInDays(laterDate, earlierDate) {
   return Math.floor(diffMs / (1000 * 60 * 60 * 24));
 }
 
-function getEarliestDelinquentDate(schedule, asOfDate) {
+function getEarliestDelinquentDate(schedule, asOfDate, afterDate = null) {
   if (!Array.isArray(schedule) || schedule.length === 0) {
     return null;
   }
@@ -73,6 +65,10 @@ function getEarliestDelinquentDate(schedule, asOfDate) {
       continue;
     }
 
+    if (afterDate && entryDate <= afterDate) {
+      continue;
+    }
+
     if (!earliest || entryDate < earliest) {
       earliest = entryDate;
     }
@@ -89,7 +85,7 @@ async function computeDelinquencyMap(asOfDate) {
     csoId: { $ne: null },
   })
     .select(
-      "csoId repaymentSchedule disbursedAt loanDetails.amountToBePaid loanDetails.amountPaidSoFar loanDetails.balance loanDetails.amountDisbursed"
+      "csoId repaymentSchedule disbursedAt restructurings loanDetails.amountToBePaid loanDetails.amountPaidSoFar loanDetails.balance loanDetails.amountDisbursed"
     )
     .lean();
 
@@ -109,8 +105,12 @@ async function computeDelinquencyMap(asOfDate) {
       continue;
     }
 
-    const delinquentDate =
-      getEarliestDelinquentDate(loan?.repaymentSchedule, normalizedAsOf) || normalizeDate(loan?.disbursedAt);
+    // Restructured loans are measured against their new schedule only
+    const restructuring = getLatestRestructuring(loan);
+    const restructuredAt = restructuring ? normalizeDate(restructuring.restructuredAt) : null;
+    const delinquentDate = restructuring
+      ? getEarliestDelinquentDate(loan?.repaymentSchedule, normalizedAsOf, restructuredAt)
+      : getEarliestDelinquentDate(loan?.repaymentSchedule, normalizedAsOf) || normalizeDate(loan?.disbursedAt);
 
     if (!delinquentDate) {
       continue;
@@ -141,7 +141,51 @@ async function computeDelinquencyMap(asOfDate) {
   return delinquencyMap;
 }
 
-async function replaceMonthlyRecord(session, csoId, field, year, month, value) {
+// Balances written off and amounts recovered on written-off loans in the
+// month of asOfDate, per CSO.
+async function computeWriteOffMap(asOfDate) {
+  const normalizedAsOf = normalizeDate(asOfDate) || new Date();
+  const monthStart = new Date(normalizedAsOf.getFullYear(), normalizedAsOf.getMonth(), 1);
+  const monthEnd = new Date(normalizedAsOf.getFullYear(), normalizedAsOf.getMonth() + 1, 1);
+
+  const [writtenOff, recovered] = await Promise.all([
+    Loan.aggregate([
+      { $match: { status: "written off", "writeOff.writtenOffAt": { $gte: monthStart, $lt: monthEnd } } },
+      { $group: { _id: "$csoId", total: { $sum: "$writeOff.amount" } } },
+    ]),
+    Loan.aggregate([
+      { $match: { status: "written off", "loanDetails.dailyPayment.source": "recovery" } },
+      { $unwind: "$loanDetails.dailyPayment" },
+      {
+        $match: {
+          "loanDetails.dailyPayment.source": "recovery",
+          "loanDetails.dailyPayment.date": { $gte: monthStart, $lt: monthEnd },
+        },
+      },
+      { $group: { _id: "$csoId", total: { $sum: "$loanDetails.dailyPayment.amount" } } },
+    ]),
+  ]);
+
+  const writeOffMap = new Map();
+  const getEntry = (csoId) => {
+    const key = csoId.toString();
+    if (!writeOffMap.has(key)) {
+      writeOffMap.set(key, { writtenOff: 0, recovered: 0 });
+    }
+    return writeOffMap.get(key);
+  };
+
+  writtenOff.filter((row) => row._id).forEach((row) => {
+    getEntry(row._id).writtenOff = toCurrencyNumber(row.total);
+  });
+  recovered.filter((row) => row._id).forEach((row) => {
+    getEntry(row._id).recovered = toCurrencyNumber(row.total);
+  });
+
+  return writeOffMap;
+}
+
+async function replaceMonthlyRecord(session, csoId, field, year, month, value, extraFields = {}) {
   const normalizedValue = toCurrencyNumber(value);
   const now = new Date();
 
@@ -159,6 +203,7 @@ async function replaceMonthlyRecord(session, csoId, field, year, month, value) {
           year,
           month,
           value: normalizedValue,
+          ...extraFields,
           updatedAt: now,
         },
       },
@@ -173,6 +218,7 @@ async function updateCsoDelinquencyRecords({ asOfDate = new Date(), includeInact
   const year = normalizedAsOf.getFullYear();
 
   const delinquencyMap = await computeDelinquencyMap(normalizedAsOf);
+  const writeOffMap = await computeWriteOffMap(normalizedAsOf);
   const csoFilter = includeInactive ? {} : { isActive: true };
   const csos = await CSO.find(csoFilter).select("_id").lean();
 
@@ -188,13 +234,14 @@ async function updateCsoDelinquencyRecords({ asOfDate = new Date(), includeInact
   for (const cso of csos) {
     const csoId = cso._id;
     const mapEntry = delinquencyMap.get(csoId.toString()) || { overdueValue: 0, recoveryValue: 0 };
+    const writeOffEntry = writeOffMap.get(csoId.toString()) || { writtenOff: 0, recovered: 0 };
     let session;
 
     try {
       session = await mongoose.startSession();
       await session.withTransaction(async () => {
         await replaceMonthlyRecord(session, csoId, "overdueRecords", year, month, mapEntry.overdueValue);
-        await replaceMonthlyRecord(session, csoId, "recoveryRecord", year, month, mapEntry.recoveryValue);
+        await replaceMonthlyRecord(session, csoId, "recoveryRecord", year, month, mapEntry.recoveryValue, writeOffEntry);
       });
       summary.updated += 1;
     } catch (error) {
@@ -213,4 +260,5 @@ async function updateCsoDelinquencyRecords({ asOfDate = new Date(), includeInact
 module.exports = {
   updateCsoDelinquencyRecords,
   computeDelinquencyMap,
+  computeWriteOffMap,
 };
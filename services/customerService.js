@@ -0,0 +1,203 @@
+const Customer = require("../models/Customer");
+const Loan = require("../models/loan");
+const { recordAudit } = require("./auditLogService");
+
+// Loan customerDetails fields that are owned by the customer record
+const IDENTITY_FIELDS = [
+  "firstName",
+  "lastName",
+  "dateOfBirth",
+  "phoneOne",
+  "address",
+  "nin",
+  "NextOfKin",
+  "NextOfKinNumber",
+];
+
+function pickDefined(source = {}, fields) {
+  return fields.reduce((picked, field) => {
+    if (![undefined, null, ""].includes(source[field])) {
+      picked[field] = source[field];
+    }
+    return picked;
+  }, {});
+}
+
+function buildCustomerFromLoan(loan) {
+  const details = loan?.customerDetails || {};
+
+  return {
+    bvn: String(details.bvn).trim(),
+    ...pickDefined(details, IDENTITY_FIELDS),
+    businessAddress: loan?.businessDetails?.address,
+    photos: {
+      customer: loan?.pictures?.customer,
+      business: loan?.pictures?.business,
+    },
+  };
+}
+
+function getPayloadBvn(payload) {
+  return payload?.customerDetails?.bvn
+    ? String(payload.customerDetails.bvn).trim()
+    : "";
+}
+
+// Submitted details win; the customer record only fills in what the loan left
+// blank, so a returning customer does not need to re-enter everything.
+function applyCustomerToLoan(payload, customer, bvn) {
+  const submitted = payload.customerDetails || {};
+
+  payload.customer = customer._id;
+  payload.customerDetails = {
+    ...pickDefined(customer.toObject(), IDENTITY_FIELDS),
+    ...pickDefined(submitted, Object.keys(submitted)),
+    bvn,
+  };
+  if (
+    customer.businessAddress &&
+    payload.businessDetails &&
+    !payload.businessDetails.address
+  ) {
+    payload.businessDetails = {
+      ...payload.businessDetails,
+      address: customer.businessAddress,
+    };
+  }
+
+  payload.pictures = {
+    customer: customer.photos?.customer,
+    business: customer.photos?.business,
+    ...pickDefined(payload.pictures, [
+      "customer",
+      "business",
+      "disclosure",
+      "signature",
+    ]),
+  };
+}
+
+// Copy contact details the CSO changed on the loan back to the customer
+// record so later loans start from them.
+async function updateCustomerFromLoan(req, customer, payload) {
+  const before = customer.toObject();
+
+  customer.set({
+    ...pickDefined(payload.customerDetails, IDENTITY_FIELDS),
+    ...pickDefined({ businessAddress: payload.businessDetails?.address }, [
+      "businessAddress",
+    ]),
+  });
+
+  if (!customer.isModified()) {
+    return;
+  }
+
+  await customer.save();
+  await recordAudit(req, {
+    action: "customer.update-from-loan",
+    entityType: "Customer",
+    entityId: customer._id,
+    entityLabel: customer.bvn,
+    before,
+    after: customer,
+    metadata: { loanId: payload.loanId },
+  });
+}
+
+/**
+ * Fill a new loan payload from the existing customer record for its BVN so
+ * the loan is checked against the details it will be saved with. Nothing is
+ * created; a first-time BVN returns null.
+ */
+async function findCustomerForLoan(payload) {
+  const bvn = getPayloadBvn(payload);
+
+  if (!bvn) {
+    return null;
+  }
+
+  const customer = await Customer.findOne({ bvn });
+
+  if (customer) {
+    applyCustomerToLoan(payload, customer, bvn);
+  }
+
+  return customer;
+}
+
+/**
+ * Link a loan payload to its customer record, creating the record for a
+ * first-time BVN and otherwise updating it with the submitted details. Call
+ * it once the loan has passed its checks so a rejected submission leaves the
+ * customer untouched.
+ */
+async function attachCustomerToLoan(req, payload) {
+  const bvn = getPayloadBvn(payload);
+
+  if (!bvn) {
+    return null;
+  }
+
+  let customer = await Customer.findOne({ bvn });
+
+  if (customer) {
+    await updateCustomerFromLoan(req, customer, payload);
+  } else {
+    customer = await Customer.create(buildCustomerFromLoan(payload));
+  }
+
+  applyCustomerToLoan(payload, customer, bvn);
+
+  return customer;
+}
+
+// Build one customer per BVN from existing loans, using the most recent
+// loan's details, and link every loan to it. Safe to run more than once.
+async function migrateCustomersFromLoans() {
+  const summary = { created: 0, existing: 0, loansLinked: 0, errors: [] };
+  const latestByBvn = await Loan.aggregate([
+    { $match: { "customerDetails.bvn": { $nin: [null, ""] } } },
+    { $sort: { createdAt: -1 } },
+    {
+      $group: {
+        _id: "$customerDetails.bvn",
+        customerDetails: { $first: "$customerDetails" },
+        businessDetails: { $first: "$businessDetails" },
+        pictures: { $first: "$pictures" },
+      },
+    },
+  ]).allowDiskUse(true);
+
+  for (const latest of latestByBvn) {
+    try {
+      const fields = buildCustomerFromLoan(latest);
+      let customer = await Customer.findOne({ bvn: fields.bvn }).lean();
+
+      if (customer) {
+        summary.existing += 1;
+      } else {
+        customer = await Customer.create(fields);
+        summary.created += 1;
+      }
+
+      const result = await Loan.updateMany(
+        { "customerDetails.bvn": latest._id, customer: { $exists: false } },
+        { $set: { customer: customer._id } }
+      );
+      summary.loansLinked += result.modifiedCount || 0;
+    } catch (error) {
+      summary.errors.push({ bvn: latest._id, message: error.message });
+    }
+  }
+
+  return summary;
+}
+
+module.exports = {
+  IDENTITY_FIELDS,
+  buildCustomerFromLoan,
+  findCustomerForLoan,
+  attachCustomerToLoan,
+  migrateCustomersFromLoans,
+};
@@ -0,0 +1,171 @@
+const Loan = require("../models/loan");
+
+// Loans that count as a customer's current exposure
+const OPEN_LOAN_STATUSES = [
+  "waiting for approval",
+  "approved",
+  "edited",
+  "active loan",
+];
+const DEFAULT_MAX_LOANS_PER_GUARANTOR = 3;
+
+// Codes that stop a submission outright; every other code is a warning for
+// the reviewer.
+const BLOCKING_CODES = ["DUPLICATE_BVN"];
+
+function getMaxLoansPerGuarantor() {
+  const limit = Number(process.env.MAX_LOANS_PER_GUARANTOR);
+  return Number.isInteger(limit) && limit > 0
+    ? limit
+    : DEFAULT_MAX_LOANS_PER_GUARANTOR;
+}
+
+function normalizeValue(value) {
+  return value === undefined || value === null ? "" : String(value).trim();
+}
+
+function summarizeMatch(loan) {
+  return {
+    loan: loan._id,
+    loanId: loan.loanId,
+    status: loan.status,
+    bvn: loan.customerDetails?.bvn,
+    customerName: [
+      loan.customerDetails?.firstName,
+      loan.customerDetails?.lastName,
+    ]
+      .filter(Boolean)
+      .join(" "),
+    csoName: loan.csoName,
+  };
+}
+
+function buildWarning(code, message, matches) {
+  return {
+    code,
+    severity: BLOCKING_CODES.includes(code) ? "block" : "warning",
+    message,
+    matches: matches.map(summarizeMatch),
+  };
+}
+
+/**
+ * Look for other open loans that share identity or contact details with a
+ * submission. `excludeLoanIds` lets a loan be checked against everything but
+ * itself, and a top-up against everything but the loan it settles.
+ */
+async function detectSubmissionRisks(loan, { excludeLoanIds = [] } = {}) {
+  const bvn = normalizeValue(loan?.customerDetails?.bvn);
+  const phone = normalizeValue(loan?.customerDetails?.phoneOne);
+  const accountNo = normalizeValue(loan?.bankDetails?.accountNo);
+  const guarantorPhone = normalizeValue(loan?.guarantorDetails?.phone);
+  const baseFilter = {
+    status: { $in: OPEN_LOAN_STATUSES },
+    _id: { $nin: excludeLoanIds.filter(Boolean) },
+  };
+  const otherCustomers = { ...baseFilter, "customerDetails.bvn": { $ne: bvn } };
+  const projection =
+    "loanId status csoName customerDetails.bvn customerDetails.firstName customerDetails.lastName";
+
+  const [sameBvn, samePhone, sameAccount, guarantorIsBorrower, sameGuarantor] =
+    await Promise.all([
+      bvn
+        ? Loan.find({ ...baseFilter, "customerDetails.bvn": bvn })
+            .select(projection)
+            .lean()
+        : [],
+      phone
+        ? Loan.find({ ...otherCustomers, "customerDetails.phoneOne": phone })
+            .select(projection)
+            .lean()
+        : [],
+      accountNo
+        ? Loan.find({ ...otherCustomers, "bankDetails.accountNo": accountNo })
+            .select(projection)
+            .lean()
+        : [],
+      guarantorPhone
+        ? Loan.find({
+            ...otherCustomers,
+            "customerDetails.phoneOne": guarantorPhone,
+          })
+            .select(projection)
+            .lean()
+        : [],
+      guarantorPhone
+        ? Loan.find({
+            ...baseFilter,
+            "guarantorDetails.phone": guarantorPhone,
+          })
+            .select(projection)
+            .lean()
+        : [],
+    ]);
+
+  const warnings = [];
+
+  if (sameBvn.length > 0) {
+    warnings.push(
+      buildWarning(
+        "DUPLICATE_BVN",
+        "Customer already has an open loan",
+        sameBvn
+      )
+    );
+  }
+
+  if (samePhone.length > 0) {
+    warnings.push(
+      buildWarning(
+        "SHARED_PHONE",
+        "Customer phone number is used by another customer",
+        samePhone
+      )
+    );
+  }
+
+  if (sameAccount.length > 0) {
+    warnings.push(
+      buildWarning(
+        "SHARED_ACCOUNT",
+        "Bank account number is used by another customer",
+        sameAccount
+      )
+    );
+  }
+
+  if (guarantorIsBorrower.length > 0) {
+    warnings.push(
+      buildWarning(
+        "GUARANTOR_IS_BORROWER",
+        "Guarantor phone number belongs to a customer with an open loan",
+        guarantorIsBorrower
+      )
+    );
+  }
+
+  const maxLoansPerGuarantor = getMaxLoansPerGuarantor();
+
+  if (sameGuarantor.length >= maxLoansPerGuarantor) {
+    warnings.push(
+      buildWarning(
+        "GUARANTOR_LIMIT",
+        `Guarantor already backs ${sameGuarantor.length} open loans (limit ${maxLoansPerGuarantor})`,
+        sameGuarantor
+      )
+    );
+  }
+
+  return warnings;
+}
+
+function hasBlockingRisk(warnings) {
+  return (warnings || []).some((warning) => warning.severity === "block");
+}
+
+module.exports = {
+  BLOCKING_CODES,
+  getMaxLoansPerGuarantor,
+  detectSubmissionRisks,
+  hasBlockingRisk,
+};
@@ -0,0 +1,160 @@
+const Loan = require("../models/loan");
+const GroupLendingRule = require("../models/GroupLendingRule");
+const { getLoanArrears } = require("./penaltyService");
+const { getPayoffBalance } = require("./loanRenewalService");
+const { toCurrencyNumber } = require("../utils/money");
+
+const GROUP_LOAN_STATUSES = ["active loan", "fully paid", "written off"];
+
+async function getGroupLendingRules() {
+  const rules = await GroupLendingRule.findOne({}).lean();
+  return rules || new GroupLendingRule().toObject();
+}
+
+function getCustomerName(loan) {
+  return [loan.customerDetails?.firstName, loan.customerDetails?.lastName]
+    .filter(Boolean)
+    .join(" ");
+}
+
+function summarizeMemberLoan(loan, asOfDate) {
+  const isActive = loan.status === "active loan";
+  const arrears = isActive ? getLoanArrears(loan, asOfDate) : null;
+
+  return {
+    _id: loan._id,
+    loanId: loan.loanId,
+    status: loan.status,
+    bvn: loan.customerDetails?.bvn,
+    customerName: getCustomerName(loan),
+    amountDisbursed: toCurrencyNumber(
+      loan.loanDetails?.amountDisbursed || loan.loanDetails?.amountApproved
+    ),
+    disbursedAt: loan.disbursedAt,
+    outstanding: isActive ? getPayoffBalance(loan) : 0,
+    arrears: arrears?.arrears || 0,
+    daysOverdue: arrears?.daysOverdue || 0,
+    dueToDate: arrears?.dueToDate || 0,
+    paidToDate: arrears?.paidToDate || 0,
+  };
+}
+
+/**
+ * Roll a group's disbursed loans up into its totals. The repayment rate is
+ * what active loans have repaid against what was due by asOf, as a
+ * percentage; it is null when nothing is due yet.
+ */
+function buildGroupSummary(loans, asOfDate = new Date()) {
+  const members = loans.map((loan) => summarizeMemberLoan(loan, asOfDate));
+  const active = members.filter((member) => member.status === "active loan");
+  const dueToDate = active.reduce((sum, member) => sum + member.dueToDate, 0);
+  const paidToDate = active.reduce((sum, member) => sum + member.paidToDate, 0);
+  const overdue = active.filter((member) => member.daysOverdue > 0);
+
+  return {
+    members: new Set(members.map((member) => member.bvn).filter(Boolean)).size,
+    totalLoans: members.length,
+    activeLoans: active.length,
+    fullyPaidLoans: members.filter((member) => member.status === "fully paid")
+      .length,
+    writtenOffLoans: members.filter((member) => member.status === "written off")
+      .length,
+    totalDisbursed: toCurrencyNumber(
+      members.reduce((sum, member) => sum + member.amountDisbursed, 0)
+    ),
+    totalOutstanding: toCurrencyNumber(
+      active.reduce((sum, member) => sum + member.outstanding, 0)
+    ),
+    arrears: toCurrencyNumber(
+      active.reduce((sum, member) => sum + member.arrears, 0)
+    ),
+    overdueMembers: new Set(overdue.map((member) => member.bvn)).size,
+    maxDaysOverdue: Math.max(0, ...overdue.map((member) => member.daysOverdue)),
+    repaymentRate:
+      dueToDate > 0
+        ? toCurrencyNumber(Math.min(100, (paidToDate / dueToDate) * 100))
+        : null,
+    loans: members,
+  };
+}
+
+// Summaries for several groups at once, keyed by group id (the group
+// leader's id stored in groupDetails.groupId).
+async function getGroupSummaries(groupIds, asOfDate = new Date()) {
+  const ids = [...new Set((groupIds || []).filter(Boolean).map(String))];
+  const loans = ids.length
+    ? await Loan.find({
+        "groupDetails.groupId": { $in: ids },
+        status: { $in: GROUP_LOAN_STATUSES },
+      })
+        .select(
+          "loanId status customerDetails.bvn customerDetails.firstName customerDetails.lastName groupDetails loanDetails repaymentSchedule restructurings disbursedAt"
+        )
+        .sort({ disbursedAt: -1 })
+        .lean()
+    : [];
+
+  const loansByGroup = new Map(ids.map((id) => [id, []]));
+  loans.forEach((loan) => {
+    loansByGroup.get(loan.groupDetails.groupId)?.push(loan);
+  });
+
+  return new Map(
+    [...loansByGroup.entries()].map(([id, groupLoans]) => [
+      id,
+      buildGroupSummary(groupLoans, asOfDate),
+    ])
+  );
+}
+
+async function getGroupSummary(groupId, asOfDate = new Date()) {
+  const summaries = await getGroupSummaries([groupId], asOfDate);
+  return summaries.get(String(groupId)) || buildGroupSummary([], asOfDate);
+}
+
+/**
+ * Apply the group lending rule to a new submission. Returns the other
+ * members of the borrower's group who are overdue past the limit; the
+ * borrower's own loans and any excluded loans are not counted.
+ */
+async function findBlockingGroupMembers(payload, { excludeLoanIds = [] } = {}) {
+  const groupId = payload?.groupDetails?.groupId;
+  const rules = await getGroupLendingRules();
+
+  if (!rules.isEnabled || !groupId) {
+    return { rules, overdueMembers: [] };
+  }
+
+  const excluded = excludeLoanIds.filter(Boolean);
+  const loans = await Loan.find({
+    "groupDetails.groupId": String(groupId),
+    "customerDetails.bvn": { $ne: payload.customerDetails?.bvn },
+    status: "active loan",
+    ...(excluded.length > 0 ? { _id: { $nin: excluded } } : {}),
+  })
+    .select(
+      "loanId status customerDetails.bvn customerDetails.firstName customerDetails.lastName loanDetails repaymentSchedule restructurings disbursedAt"
+    )
+    .lean();
+
+  const overdueMembers = loans
+    .map((loan) => summarizeMemberLoan(loan))
+    .filter((member) => member.daysOverdue > rules.maxMemberOverdueDays)
+    .map(({ _id, loanId, customerName, arrears, daysOverdue }) => ({
+      _id,
+      loanId,
+      customerName,
+      arrears,
+      daysOverdue,
+    }));
+
+  return { rules, overdueMembers };
+}
+
+module.exports = {
+  getGroupLendingRules,
+  buildGroupSummary,
+  getGroupSummaries,
+  getGroupSummary,
+  findBlockingGroupMembers,
+};
@@ -0,0 +1,287 @@
+const Guarantor = require("../models/Guarantor");
+const Loan = require("../models/loan");
+const { getPayoffBalance } = require("./loanRenewalService");
+const { toCurrencyNumber } = require("../utils/money");
+
+const DEFAULT_MAX_GUARANTOR_EXPOSURE = 500000;
+const ACTIVE_STATUSES = ["active loan"];
+// Submitted but not yet disbursed; counted at the amount asked or approved
+const PENDING_STATUSES = ["waiting for approval", "edited", "approved"];
+
+function normalizePhone(value) {
+  return value === undefined || value === null
+    ? ""
+    : String(value).replace(/[\s-]/g, "");
+}
+
+// Loans saved before phones were normalized may still hold spaces or
+// dashes, so match the digits with either allowed between them
+function getStoredPhonePattern(phone) {
+  const characters = [...phone].map((character) =>
+    character.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+  );
+  return new RegExp(`^[\\s-]*${characters.join("[\\s-]*")}[\\s-]*$`);
+}
+
+function getMaxGuarantorExposure() {
+  const limit = Number(process.env.MAX_GUARANTOR_EXPOSURE);
+  return Number.isFinite(limit) && limit > 0
+    ? limit
+    : DEFAULT_MAX_GUARANTOR_EXPOSURE;
+}
+
+function getExposureLimit(guarantor) {
+  return Number.isFinite(guarantor?.exposureLimit)
+    ? guarantor.exposureLimit
+    : getMaxGuarantorExposure();
+}
+
+function getPendingAmount(loan) {
+  return toCurrencyNumber(
+    loan.loanDetails?.amountApproved || loan.loanDetails?.amountRequested
+  );
+}
+
+function summarizeLoan(loan) {
+  const isActive = ACTIVE_STATUSES.includes(loan.status);
+
+  return {
+    _id: loan._id,
+    loanId: loan.loanId,
+    status: loan.status,
+    customerName: [
+      loan.customerDetails?.firstName,
+      loan.customerDetails?.lastName,
+    ]
+      .filter(Boolean)
+      .join(" "),
+    csoName: loan.csoName,
+    relationship: loan.guarantorDetails?.relationship,
+    amountRequested: loan.loanDetails?.amountRequested,
+    amountApproved: loan.loanDetails?.amountApproved,
+    disbursedAt: loan.disbursedAt,
+    exposure: isActive ? getPayoffBalance(loan) : getPendingAmount(loan),
+  };
+}
+
+function buildExposure(guarantor, loans) {
+  const active = loans.filter((loan) => ACTIVE_STATUSES.includes(loan.status));
+  const pending = loans.filter((loan) =>
+    PENDING_STATUSES.includes(loan.status)
+  );
+  const outstandingBalance = toCurrencyNumber(
+    active.reduce((sum, loan) => sum + getPayoffBalance(loan), 0)
+  );
+  const pendingAmount = toCurrencyNumber(
+    pending.reduce((sum, loan) => sum + getPendingAmount(loan), 0)
+  );
+
+  return {
+    activeLoans: active.length,
+    outstandingBalance,
+    pendingLoans: pending.length,
+    pendingAmount,
+    exposure: toCurrencyNumber(outstandingBalance + pendingAmount),
+    exposureLimit: getExposureLimit(guarantor),
+  };
+}
+
+/**
+ * Work out what each guarantor currently backs. Loans are matched by the
+ * guarantor link or, for loans not yet linked, by the guarantor phone.
+ * Returns a Map keyed by guarantor id with the exposure and the loans.
+ */
+async function getGuarantorExposures(guarantors, { excludeLoanIds = [] } = {}) {
+  const list = (guarantors || []).filter(Boolean);
+
+  if (list.length === 0) {
+    return new Map();
+  }
+
+  const byPhone = new Map(
+    list.map((guarantor) => [guarantor.phone, guarantor])
+  );
+  const excluded = excludeLoanIds.filter(Boolean);
+  const loans = await Loan.find({
+    $or: [
+      { guarantor: { $in: list.map((guarantor) => guarantor._id) } },
+      {
+        "guarantorDetails.phone": {
+          $in: [...byPhone.keys()].map(getStoredPhonePattern),
+        },
+      },
+    ],
+    status: { $in: [...ACTIVE_STATUSES, ...PENDING_STATUSES] },
+    ...(excluded.length > 0 ? { _id: { $nin: excluded } } : {}),
+  })
+    .select(
+      "loanId status guarantor customerDetails.firstName customerDetails.lastName csoName guarantorDetails loanDetails disbursedAt"
+    )
+    .sort({ createdAt: -1 })
+    .lean();
+
+  const loansById = new Map(
+    list.map((guarantor) => [guarantor._id.toString(), []])
+  );
+
+  loans.forEach((loan) => {
+    const owner = loan.guarantor
+      ? loan.guarantor.toString()
+      : byPhone
+          .get(normalizePhone(loan.guarantorDetails?.phone))
+          ?._id.toString();
+
+    loansById.get(owner)?.push(loan);
+  });
+
+  return new Map(
+    list.map((guarantor) => {
+      const guaranteed = loansById.get(guarantor._id.toString()) || [];
+      return [
+        guarantor._id.toString(),
+        {
+          ...buildExposure(guarantor, guaranteed),
+          loans: guaranteed.map(summarizeLoan),
+        },
+      ];
+    })
+  );
+}
+
+async function getGuarantorExposure(guarantor, options) {
+  const exposures = await getGuarantorExposures([guarantor], options);
+  return exposures.get(guarantor._id.toString());
+}
+
+/**
+ * The guarantor record a loan payload would be linked to, without saving
+ * anything: the existing record for the phone, or an unsaved one for a
+ * phone not seen before. Used to check exposure before the loan is saved.
+ */
+async function findGuarantorForLoan(payload) {
+  const phone = normalizePhone(payload?.guarantorDetails?.phone);
+
+  if (!phone) {
+    return null;
+  }
+
+  payload.guarantorDetails = { ...payload.guarantorDetails, phone };
+  const guarantor = await Guarantor.findOne({ phone });
+
+  return (
+    guarantor ||
+    new Guarantor({
+      phone,
+      name: payload.guarantorDetails.name,
+      address: payload.guarantorDetails.address,
+    })
+  );
+}
+
+/**
+ * Link a loan payload to its guarantor record, creating one for a phone
+ * number not seen before. The submitted guarantor details stay on the loan.
+ * Call it once the loan has passed its checks.
+ */
+async function attachGuarantorToLoan(payload) {
+  const phone = normalizePhone(payload?.guarantorDetails?.phone);
+
+  if (!phone) {
+    return null;
+  }
+
+  let guarantor = await Guarantor.findOne({ phone });
+
+  if (!guarantor) {
+    guarantor = await Guarantor.create({
+      phone,
+      name: payload.guarantorDetails.name,
+      address: payload.guarantorDetails.address,
+    });
+  }
+
+  payload.guarantor = guarantor._id;
+  payload.guarantorDetails = { ...payload.guarantorDetails, phone };
+
+  return guarantor;
+}
+
+// Would backing `amount` more take the guarantor past their limit? The loan
+// being checked, and a loan it settles, are left out of the current figure.
+async function checkGuarantorExposure(guarantor, amount, options) {
+  const current = await getGuarantorExposure(guarantor, options);
+  const projectedExposure = toCurrencyNumber(
+    current.exposure + (Number(amount) || 0)
+  );
+
+  return {
+    allowed: projectedExposure <= current.exposureLimit,
+    exposure: current.exposure,
+    projectedExposure,
+    exposureLimit: current.exposureLimit,
+  };
+}
+
+// Build one guarantor per phone from existing loans, using the most recent
+// loan's details, and link every loan to it. Safe to run more than once.
+async function migrateGuarantorsFromLoans() {
+  const summary = { created: 0, existing: 0, loansLinked: 0, errors: [] };
+  const loans = await Loan.find({
+    "guarantorDetails.phone": { $nin: [null, ""] },
+    guarantor: { $exists: false },
+  })
+    .select("guarantorDetails")
+    .sort({ createdAt: -1 })
+    .lean();
+
+  const loansByPhone = new Map();
+
+  loans.forEach((loan) => {
+    const phone = normalizePhone(loan.guarantorDetails.phone);
+
+    if (!loansByPhone.has(phone)) {
+      loansByPhone.set(phone, { details: loan.guarantorDetails, ids: [] });
+    }
+
+    loansByPhone.get(phone).ids.push(loan._id);
+  });
+
+  for (const [phone, { details, ids }] of loansByPhone) {
+    try {
+      let guarantor = await Guarantor.findOne({ phone }).lean();
+
+      if (guarantor) {
+        summary.existing += 1;
+      } else {
+        guarantor = await Guarantor.create({
+          phone,
+          name: details.name,
+          address: details.address,
+        });
+        summary.created += 1;
+      }
+
+      const result = await Loan.updateMany(
+        { _id: { $in: ids } },
+        { $set: { guarantor: guarantor._id, "guarantorDetails.phone": phone } }
+      );
+      summary.loansLinked += result.modifiedCount || 0;
+    } catch (error) {
+      summary.errors.push({ phone, message: error.message });
+    }
+  }
+
+  return summary;
+}
+
+module.exports = {
+  normalizePhone,
+  getMaxGuarantorExposure,
+  getExposureLimit,
+  getGuarantorExposures,
+  getGuarantorExposure,
+  findGuarantorForLoan,
+  attachGuarantorToLoan,
+  checkGuarantorExposure,
+  migrateGuarantorsFromLoans,
+};
@@ -0,0 +1,76 @@
+const {
+  getOutstandingPenalty,
+  getPayableInstallments,
+} = require("./penaltyService");
+const {
+  getLoanInterestTotal,
+  getOutstandingComponents,
+} = require("./paymentAllocationService");
+const { toCurrencyNumber } = require("../utils/money");
+const { normalizeDate } = require("../utils/dates");
+
+const DEFAULT_EARLY_PAYOFF_REBATE_PERCENT = 0;
+
+// Share of the interest not yet earned at payoff that is waived for the
+// customer. 0 charges the full interest, 100 waives all unearned interest.
+function getEarlyPayoffRebatePercent() {
+  const percent = Number(process.env.EARLY_PAYOFF_REBATE_PERCENT);
+  return Number.isFinite(percent) && percent >= 0 && percent <= 100
+    ? percent
+    : DEFAULT_EARLY_PAYOFF_REBATE_PERCENT;
+}
+
+/**
+ * Settlement amount for an active loan paid off on a given day. Interest is
+ * treated as earned evenly across the installments, so the rebate only
+ * applies to interest for installments falling due after that day.
+ */
+function buildPayoffQuote(loan, asOfDate = new Date()) {
+  const asOf = normalizeDate(asOfDate);
+  const loanDetails = loan?.loanDetails || {};
+  const interestTotal = getLoanInterestTotal(loanDetails);
+  const outstanding = getOutstandingComponents(loan);
+  const schedule =
+    typeof loan?.toObject === "function"
+      ? loan.toObject().repaymentSchedule
+      : loan?.repaymentSchedule;
+  const installments = getPayableInstallments(schedule);
+  const installmentsDue = installments.filter(
+    (installment) => installment.date <= asOf
+  ).length;
+
+  const earnedInterest =
+    installments.length > 0
+      ? toCurrencyNumber(
+          (interestTotal * installmentsDue) / installments.length
+        )
+      : interestTotal;
+  const unearnedInterest = toCurrencyNumber(
+    Math.min(outstanding.interest, Math.max(0, interestTotal - earnedInterest))
+  );
+  const rebatePercent = getEarlyPayoffRebatePercent();
+  const rebate = toCurrencyNumber((unearnedInterest * rebatePercent) / 100);
+
+  const penalty = getOutstandingPenalty(loan);
+  const interest = toCurrencyNumber(outstanding.interest - rebate);
+  const principal = outstanding.principal;
+
+  return {
+    asOf,
+    installmentsDue,
+    installmentCount: installments.length,
+    outstandingPrincipal: principal,
+    outstandingInterest: outstanding.interest,
+    outstandingPenalty: penalty,
+    unearnedInterest,
+    rebatePercent,
+    rebate,
+    payoffAmount: toCurrencyNumber(principal + interest + penalty),
+    allocation: { penalty, interest, principal },
+  };
+}
+
+module.exports = {
+  getEarlyPayoffRebatePercent,
+  buildPayoffQuote,
+};
@@ -0,0 +1,146 @@
+const mongoose = require("mongoose");
+const LoanProduct = require("../models/LoanProduct");
+const Loan = require("../models/loan");
+
+const DEFAULT_LOAN_PRODUCTS = [
+  {
+    name: "Daily 22",
+    frequency: "daily",
+    installmentCount: 22,
+    formFee: 2000,
+    insuranceFee: 2000,
+    isDefault: true,
+  },
+  {
+    name: "Weekly 5",
+    frequency: "weekly",
+    installmentCount: 5,
+    formFee: 2000,
+    insuranceFee: 2000,
+    isDefault: true,
+  },
+];
+
+// Installment counts used before loan products existed; still applied to
+// loans that carry no product snapshot.
+const LEGACY_INSTALLMENT_COUNTS = { daily: 22, weekly: 5 };
+
+async function ensureDefaultLoanProducts() {
+  for (const product of DEFAULT_LOAN_PRODUCTS) {
+    await LoanProduct.updateOne(
+      { name: product.name },
+      { $setOnInsert: product },
+      { upsert: true }
+    );
+  }
+}
+
+async function resolveLoanProduct({
+  productId,
+  loanType,
+  includeInactive = false,
+} = {}) {
+  if (productId) {
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      throw new Error("Invalid loan product identifier");
+    }
+
+    const product = await LoanProduct.findById(productId).lean();
+
+    if (!product || (!product.isActive && !includeInactive)) {
+      throw new Error("Loan product not found or inactive");
+    }
+
+    return product;
+  }
+
+  const frequency = loanType || "daily";
+  const product = await LoanProduct.findOne({
+    frequency,
+    isActive: true,
+  })
+    .sort({ isDefault: -1, createdAt: 1 })
+    .lean();
+
+  if (!product) {
+    throw new Error(`No active loan product configured for ${frequency} loans`);
+  }
+
+  return product;
+}
+
+function validateAmountForProduct(product, amount) {
+  const value = Number(amount);
+
+  if (!product || !Number.isFinite(value)) {
+    return null;
+  }
+
+  if (Number.isFinite(product.minAmount) && value < product.minAmount) {
+    return `Amount must be at least ₦${product.minAmount} for ${product.name}`;
+  }
+
+  if (
+    product.maxAmount !== null &&
+    Number.isFinite(product.maxAmount) &&
+    value > product.maxAmount
+  ) {
+    return `Amount cannot exceed ₦${product.maxAmount} for ${product.name}`;
+  }
+
+  return null;
+}
+
+function getInstallmentCount(loanDetails) {
+  const stored = Number(loanDetails?.installmentCount);
+
+  if (Number.isFinite(stored) && stored > 0) {
+    return stored;
+  }
+
+  return LEGACY_INSTALLMENT_COUNTS[loanDetails?.loanType] || 22;
+}
+
+// Backfill loans created before products existed with the matching default.
+async function assignDefaultProductsToLoans() {
+  await ensureDefaultLoanProducts();
+
+  const summary = {};
+
+  for (const { name, frequency } of DEFAULT_LOAN_PRODUCTS) {
+    const product = await LoanProduct.findOne({ name }).lean();
+
+    if (!product) {
+      continue;
+    }
+
+    const typeFilter =
+      frequency === "daily"
+        ? { "loanDetails.loanType": { $in: ["daily", null] } }
+        : { "loanDetails.loanType": frequency };
+
+    const result = await Loan.updateMany(
+      { loanProduct: { $exists: false }, ...typeFilter },
+      {
+        $set: {
+          loanProduct: product._id,
+          "loanDetails.productName": product.name,
+          "loanDetails.installmentCount": product.installmentCount,
+        },
+      }
+    );
+
+    summary[name] = result.modifiedCount || 0;
+  }
+
+  return summary;
+}
+
+module.exports = {
+  DEFAULT_LOAN_PRODUCTS,
+  ensureDefaultLoanProducts,
+  resolveLoanProduct,
+  validateAmountForProduct,
+  getInstallmentCount,
+  assignDefaultProductsToLoans,
+};
@@ -0,0 +1,146 @@
+const Loan = require("../models/loan");
+const { getOutstandingPenalty } = require("./penaltyService");
+const { toCurrencyNumber } = require("../utils/money");
+
+const DEFAULT_TOP_UP_MIN_REPAID_PERCENT = 80;
+const DISBURSED_STATUSES = ["active loan", "fully paid", "written off"];
+const IN_PROGRESS_STATUSES = ["waiting for approval", "approved", "edited"];
+const PREFILL_SECTIONS = [
+  "customerDetails",
+  "businessDetails",
+  "bankDetails",
+  "guarantorDetails",
+  "groupDetails",
+];
+
+// Minimum share of an active loan that must be repaid before it can be
+// topped up. Fully paid loans can always be renewed.
+function getTopUpMinRepaidPercent() {
+  const percent = Number(process.env.TOP_UP_MIN_REPAID_PERCENT);
+  return Number.isFinite(percent) && percent >= 0 && percent <= 100
+    ? percent
+    : DEFAULT_TOP_UP_MIN_REPAID_PERCENT;
+}
+
+// Everything the customer still owes on a loan, penalty included.
+function getPayoffBalance(loan) {
+  const amountToBePaid = Number(loan?.loanDetails?.amountToBePaid) || 0;
+  const amountPaidSoFar = Number(loan?.loanDetails?.amountPaidSoFar) || 0;
+
+  return toCurrencyNumber(
+    Math.max(0, amountToBePaid - amountPaidSoFar) + getOutstandingPenalty(loan)
+  );
+}
+
+function getRepaidPercent(loan) {
+  const amountToBePaid = Number(loan?.loanDetails?.amountToBePaid) || 0;
+  const amountPaidSoFar = Number(loan?.loanDetails?.amountPaidSoFar) || 0;
+
+  if (amountToBePaid <= 0) {
+    return 0;
+  }
+
+  return toCurrencyNumber((amountPaidSoFar / amountToBePaid) * 100);
+}
+
+async function getNextLoanCycle(bvn) {
+  if (!bvn) {
+    return 1;
+  }
+
+  const previousLoans = await Loan.countDocuments({
+    "customerDetails.bvn": bvn,
+    status: { $in: DISBURSED_STATUSES },
+  });
+
+  return previousLoans + 1;
+}
+
+function buildRenewalPrefill(loan) {
+  const source = typeof loan?.toObject === "function" ? loan.toObject() : loan;
+  const prefill = {};
+
+  PREFILL_SECTIONS.forEach((section) => {
+    if (source?.[section]) {
+      prefill[section] = source[section];
+    }
+  });
+
+  prefill.pictures = {
+    customer: source?.pictures?.customer,
+    business: source?.pictures?.business,
+  };
+
+  return prefill;
+}
+
+/**
+ * Decide whether a customer can take another loan off the back of their
+ * latest one: a renewal once it is fully paid, or a top-up while it is still
+ * active but repaid past the configured threshold.
+ */
+async function evaluateRenewal(bvn) {
+  const result = {
+    eligible: false,
+    renewalType: null,
+    reason: "",
+    previousLoan: null,
+    repaidPercent: 0,
+    outstandingBalance: 0,
+    minRepaidPercent: getTopUpMinRepaidPercent(),
+    nextLoanCycle: await getNextLoanCycle(bvn),
+  };
+
+  const inProgress = await Loan.exists({
+    "customerDetails.bvn": bvn,
+    status: { $in: IN_PROGRESS_STATUSES },
+  });
+
+  if (inProgress) {
+    result.reason =
+      "Customer already has a loan awaiting approval or disbursement";
+    return result;
+  }
+
+  const previousLoan = await Loan.findOne({
+    "customerDetails.bvn": bvn,
+    status: { $in: DISBURSED_STATUSES },
+  }).sort({ disbursedAt: -1, createdAt: -1 });
+
+  if (!previousLoan) {
+    result.reason = "Customer has no previous loan to renew";
+    return result;
+  }
+
+  result.previousLoan = previousLoan;
+
+  if (previousLoan.status === "written off") {
+    result.reason = "Previous loan was written off";
+    return result;
+  }
+  result.repaidPercent = getRepaidPercent(previousLoan);
+  result.outstandingBalance = getPayoffBalance(previousLoan);
+
+  if (previousLoan.status === "fully paid") {
+    result.eligible = true;
+    result.renewalType = "renewal";
+    return result;
+  }
+
+  if (result.repaidPercent < result.minRepaidPercent) {
+    result.reason = `Previous loan must be at least ${result.minRepaidPercent}% repaid before a top-up (currently ${result.repaidPercent}%)`;
+    return result;
+  }
+
+  result.eligible = true;
+  result.renewalType = "top-up";
+  return result;
+}
+
+module.exports = {
+  getTopUpMinRepaidPercent,
+  getPayoffBalance,
+  getNextLoanCycle,
+  buildRenewalPrefill,
+  evaluateRenewal,
+};
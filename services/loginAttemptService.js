@@ -0,0 +1,355 @@
+const LoginAttempt = require("../models/LoginAttempt");
+
+const DEFAULT_MAX_ACCOUNT_FAILURES = 5;
+const DEFAULT_MAX_IP_FAILURES = 20;
+const DEFAULT_LOCKOUT_MINUTES = 15;
+const DEFAULT_FAILURE_WINDOW_MINUTES = 15;
+// Failures allowed before any delay, so a single typo costs nothing
+const FREE_FAILURES = 2;
+const MAX_DELAY_SECONDS = 60;
+const MS_PER_MINUTE = 60 * 1000;
+
+function getPositiveNumber(value, fallback) {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : fallback;
+}
+
+function getMaxFailures(scope) {
+  return scope === "ip"
+    ? getPositiveNumber(
+        process.env.LOGIN_MAX_IP_FAILURES,
+        DEFAULT_MAX_IP_FAILURES
+      )
+    : getPositiveNumber(
+        process.env.LOGIN_MAX_ACCOUNT_FAILURES,
+        DEFAULT_MAX_ACCOUNT_FAILURES
+      );
+}
+
+function getLockoutMinutes() {
+  return getPositiveNumber(
+    process.env.LOGIN_LOCKOUT_MINUTES,
+    DEFAULT_LOCKOUT_MINUTES
+  );
+}
+
+function getFailureWindowMinutes() {
+  return getPositiveNumber(
+    process.env.LOGIN_FAILURE_WINDOW_MINUTES,
+    DEFAULT_FAILURE_WINDOW_MINUTES
+  );
+}
+
+// Counter keys for one request: the account it names, if any, and the IP
+function getAttemptKeys(action, identifier, ip) {
+  const account = String(identifier || "")
+    .toLowerCase()
+    .trim();
+  const keys = [];
+
+  if (account) {
+    keys.push({
+      key: `${action}:account:${account}`,
+      action,
+      scope: "account",
+      identifier: account,
+    });
+  }
+
+  if (ip) {
+    keys.push({
+      key: `${action}:ip:${ip}`,
+      action,
+      scope: "ip",
+      identifier: ip,
+    });
+  }
+
+  return keys;
+}
+
+/**
+ * Update stages that count one more attempt against a counter and set the
+ * wait it imposes: nothing for the first few, then a delay that doubles
+ * each time, and a lockout once the scope's limit is reached. A counter
+ * whose window has passed starts again from zero.
+ */
+function getAttemptStages(scope, now) {
+  const windowEnd = new Date(
+    now.getTime() + getFailureWindowMinutes() * MS_PER_MINUTE
+  );
+  const lockedUntil = new Date(
+    now.getTime() + getLockoutMinutes() * MS_PER_MINUTE
+  );
+  const isLocked = { $gte: ["$failures", getMaxFailures(scope)] };
+  const delaySeconds = {
+    $cond: [
+      { $lte: ["$failures", FREE_FAILURES] },
+      0,
+      {
+        $min: [
+          MAX_DELAY_SECONDS,
+          { $pow: [2, { $subtract: ["$failures", FREE_FAILURES] }] },
+        ],
+      },
+    ],
+  };
+
+  return [
+    {
+      $set: {
+        failures: {
+          $add: [{ $cond: [{ $gt: ["$expiresAt", now] }, "$failures", 0] }, 1],
+        },
+        lastFailureAt: now,
+      },
+    },
+    {
+      $set: {
+        lockedUntil: { $cond: [isLocked, lockedUntil, null] },
+        nextAttemptAt: {
+          $cond: [
+            isLocked,
+            lockedUntil,
+            { $add: [now, { $multiply: [delaySeconds, 1000] }] },
+          ],
+        },
+        expiresAt: {
+          $cond: [
+            isLocked,
+            lockedUntil > windowEnd ? lockedUntil : windowEnd,
+            windowEnd,
+          ],
+        },
+      },
+    },
+  ];
+}
+
+function getRetryAt(attempt, now = new Date()) {
+  const retryAt = [attempt.lockedUntil, attempt.nextAttemptAt]
+    .filter(Boolean)
+    .reduce((latest, date) => (date > latest ? date : latest), now);
+
+  return retryAt > now ? retryAt : null;
+}
+
+/**
+ * Whether any of the counters currently blocks the request. Returns null
+ * when the attempt may go ahead, otherwise { retryAfter, locked } with the
+ * wait in seconds.
+ */
+async function getAttemptBlock(keys) {
+  if (keys.length === 0) {
+    return null;
+  }
+
+  const now = new Date();
+  const attempts = await LoginAttempt.find({
+    key: { $in: keys.map((entry) => entry.key) },
+    expiresAt: { $gt: now },
+  }).lean();
+
+  return attempts.reduce((block, attempt) => {
+    const retryAt = getRetryAt(attempt, now);
+    const retryAfter = retryAt ? Math.ceil((retryAt - now) / 1000) : 0;
+
+    if (retryAfter <= (block?.retryAfter || 0)) {
+      return block;
+    }
+
+    return {
+      retryAfter,
+      locked: Boolean(attempt.lockedUntil && attempt.lockedUntil > now),
+    };
+  }, null);
+}
+
+function isDuplicateKeyError(error) {
+  return error?.code === 11000;
+}
+
+// Create the counter if it does not exist yet, so the conditional updates
+// below never need an upsert that parallel requests could both attempt.
+async function ensureCounter({ key, action, scope, identifier }, now) {
+  try {
+    await LoginAttempt.updateOne(
+      { key },
+      {
+        $setOnInsert: {
+          action,
+          scope,
+          identifier,
+          failures: 0,
+          expiresAt: new Date(
+            now.getTime() + getFailureWindowMinutes() * MS_PER_MINUTE
+          ),
+        },
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    // Another request created the counter first
+    if (!isDuplicateKeyError(error)) {
+      throw error;
+    }
+  }
+}
+
+// Count an attempt against one counter unless it is currently delaying or
+// locking out attempts. Returns false when it is.
+async function reserveKey(entry, now) {
+  const { key, scope } = entry;
+
+  await ensureCounter(entry, now);
+
+  const reserved = await LoginAttempt.findOneAndUpdate(
+    {
+      key,
+      $or: [
+        { expiresAt: { $lte: now } },
+        {
+          nextAttemptAt: { $not: { $gt: now } },
+          lockedUntil: { $not: { $gt: now } },
+        },
+      ],
+    },
+    getAttemptStages(scope, now),
+    { new: true }
+  );
+
+  return Boolean(reserved);
+}
+
+/**
+ * Count the attempt against every counter before the credentials are
+ * checked, so parallel requests cannot all slip in under the limit. The
+ * attempt stays counted as a failure unless releaseAttempt is called with
+ * the same time. Returns null when the attempt may go ahead, otherwise the
+ * block from getAttemptBlock.
+ */
+async function reserveAttempt(keys, now = new Date()) {
+  const block = await getAttemptBlock(keys);
+
+  if (block) {
+    return block;
+  }
+
+  for (const entry of keys) {
+    if (!(await reserveKey(entry, now))) {
+      // A parallel request got in first and its penalty now applies
+      return (await getAttemptBlock(keys)) || { retryAfter: 1, locked: false };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * A plain rate limit for requests that have no credentials to check. Each
+ * counter allows as many requests per window as its scope allows failed
+ * sign-ins, with no growing delay or lockout. Returns null when the request
+ * may go ahead, otherwise { retryAfter, locked }.
+ */
+async function countRequest(keys, now = new Date()) {
+  const windowEnd = new Date(
+    now.getTime() + getFailureWindowMinutes() * MS_PER_MINUTE
+  );
+  const isExpired = { $lte: ["$expiresAt", now] };
+  let block = null;
+
+  for (const entry of keys) {
+    await ensureCounter(entry, now);
+
+    const counter = await LoginAttempt.findOneAndUpdate(
+      { key: entry.key },
+      [
+        {
+          $set: {
+            failures: {
+              $cond: [isExpired, 1, { $add: ["$failures", 1] }],
+            },
+            expiresAt: { $cond: [isExpired, windowEnd, "$expiresAt"] },
+            lastFailureAt: now,
+          },
+        },
+        {
+          $set: {
+            nextAttemptAt: {
+              $cond: [
+                { $gt: ["$failures", getMaxFailures(entry.scope)] },
+                "$expiresAt",
+                null,
+              ],
+            },
+          },
+        },
+      ],
+      { new: true }
+    );
+    const retryAt = counter && getRetryAt(counter, now);
+    const retryAfter = retryAt ? Math.ceil((retryAt - now) / 1000) : 0;
+
+    if (retryAfter > (block?.retryAfter || 0)) {
+      block = { retryAfter, locked: false };
+    }
+  }
+
+  return block;
+}
+
+// Called after a successful sign-in. The account counter is cleared, while
+// the IP only gives back the attempt it reserved so one good login cannot
+// reset a guessing run.
+async function releaseAttempt(keys, reservedAt) {
+  const accountKeys = keys
+    .filter((entry) => entry.scope === "account")
+    .map((entry) => entry.key);
+  const ipKeys = keys
+    .filter((entry) => entry.scope === "ip")
+    .map((entry) => entry.key);
+
+  if (accountKeys.length > 0) {
+    await LoginAttempt.deleteMany({ key: { $in: accountKeys } });
+  }
+
+  await Promise.all(
+    ipKeys.map(async (key) => {
+      // Undo this attempt's delay too, unless a later attempt set its own
+      const result = await LoginAttempt.updateOne(
+        { key, lastFailureAt: reservedAt, failures: { $gt: 0 } },
+        {
+          $inc: { failures: -1 },
+          $set: { nextAttemptAt: reservedAt, lockedUntil: null },
+        }
+      );
+
+      if (result.matchedCount === 0) {
+        await LoginAttempt.updateOne(
+          { key, failures: { $gt: 0 } },
+          { $inc: { failures: -1 } }
+        );
+      }
+    })
+  );
+}
+
+// Forget the failed attempts against one account, e.g. once its password
+// has been reset.
+async function clearAccountAttempts(action, identifier) {
+  const keys = getAttemptKeys(action, identifier).map((entry) => entry.key);
+
+  if (keys.length > 0) {
+    await LoginAttempt.deleteMany({ key: { $in: keys } });
+  }
+}
+
+module.exports = {
+  getAttemptKeys,
+  getRetryAt,
+  getAttemptBlock,
+  reserveAttempt,
+  countRequest,
+  releaseAttempt,
+  clearAccountAttempts,
+};
@@ -0,0 +1,83 @@
+const fs = require("fs");
+const path = require("path");
+const axios = require("axios");
+
+const DEFAULT_TRANSPORT = "console";
+const DEFAULT_FILE_PATH = path.join(
+  __dirname,
+  "..",
+  "logs",
+  "notifications.log"
+);
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+// Each transport receives { to: { email, phone }, subject, message }.
+// NOTIFIER_TRANSPORT picks one; production deployments must set it, either
+// pointing the webhook transport at their SMS/email gateway or registering
+// their own.
+const transports = new Map();
+
+function registerTransport(name, send) {
+  transports.set(name, send);
+}
+
+registerTransport("console", async (notification) => {
+  console.log(
+    `[notification] to ${notification.to?.email || notification.to?.phone}: ${notification.message}`
+  );
+});
+
+registerTransport("file", async (notification) => {
+  const filePath = process.env.NOTIFIER_FILE_PATH || DEFAULT_FILE_PATH;
+
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.promises.appendFile(
+    filePath,
+    `${JSON.stringify({ ...notification, sentAt: new Date().toISOString() })}\n`
+  );
+});
+
+registerTransport("webhook", async (notification) => {
+  const url = process.env.NOTIFIER_WEBHOOK_URL;
+
+  if (!url) {
+    throw new Error("NOTIFIER_WEBHOOK_URL is not set");
+  }
+
+  await axios.post(url, notification, { timeout: WEBHOOK_TIMEOUT_MS });
+});
+
+if (process.env.NODE_ENV === "production" && !process.env.NOTIFIER_TRANSPORT) {
+  console.warn(
+    "NOTIFIER_TRANSPORT environment variable is missing. Notifications will not be sent until a transport is set."
+  );
+}
+
+function getTransportName() {
+  if (process.env.NOTIFIER_TRANSPORT) {
+    return process.env.NOTIFIER_TRANSPORT;
+  }
+
+  // The console transport would write reset codes into production logs
+  if (process.env.NODE_ENV === "production") {
+    throw new Error("NOTIFIER_TRANSPORT must be set in production");
+  }
+
+  return DEFAULT_TRANSPORT;
+}
+
+async function sendNotification(notification) {
+  const name = getTransportName();
+  const send = transports.get(name);
+
+  if (!send) {
+    throw new Error(`Unknown notifier transport "${name}"`);
+  }
+
+  await send(notification);
+}
+
+module.exports = {
+  registerTransport,
+  sendNotification,
+};
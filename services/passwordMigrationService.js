@@ -0,0 +1,33 @@
+const Admin = require("../models/Admin");
+const CSO = require("../models/cso");
+const {
+  BCRYPT_HASH_PATTERN,
+  allowsPlaintextPasswords,
+} = require("../config/passwordPolicy");
+
+const PLAINTEXT_FILTER = {
+  password: { $exists: true, $nin: [null, ""], $not: BCRYPT_HASH_PATTERN },
+};
+
+// Accounts whose stored password is not a bcrypt hash. They are upgraded
+// when their owners next log in.
+async function findPlaintextPasswordAccounts() {
+  const [csos, admins] = await Promise.all([
+    CSO.find(PLAINTEXT_FILTER)
+      .select("firstName lastName email workId isActive")
+      .sort({ email: 1 })
+      .lean(),
+    Admin.find(PLAINTEXT_FILTER).select("email").sort({ email: 1 }).lean(),
+  ]);
+
+  return {
+    plaintextFallbackEnabled: allowsPlaintextPasswords(),
+    total: csos.length + admins.length,
+    csos,
+    admins,
+  };
+}
+
+module.exports = {
+  findPlaintextPasswordAccounts,
+};
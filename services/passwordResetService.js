@@ -0,0 +1,126 @@
+const crypto = require("crypto");
+const CSO = require("../models/cso");
+const PasswordResetCode = require("../models/PasswordResetCode");
+const jwtSecret = require("../config/jwtSecret");
+const { sendNotification } = require("./notifierService");
+
+const CODE_DIGITS = 6;
+const DEFAULT_CODE_TTL_MINUTES = 10;
+const DEFAULT_MAX_ATTEMPTS = 5;
+const RESEND_COOLDOWN_MS = 60 * 1000;
+
+function getCodeTtlMinutes() {
+  const minutes = Number(process.env.PASSWORD_RESET_CODE_TTL_MINUTES);
+  return Number.isFinite(minutes) && minutes > 0
+    ? minutes
+    : DEFAULT_CODE_TTL_MINUTES;
+}
+
+function getMaxAttempts() {
+  const attempts = Number(process.env.PASSWORD_RESET_MAX_ATTEMPTS);
+  return Number.isInteger(attempts) && attempts > 0
+    ? attempts
+    : DEFAULT_MAX_ATTEMPTS;
+}
+
+// Keyed so a leaked hash cannot be brute-forced over the small code space
+function hashCode(code) {
+  return crypto
+    .createHmac("sha256", jwtSecret)
+    .update(String(code))
+    .digest("hex");
+}
+
+function generateCode() {
+  return crypto
+    .randomInt(0, 10 ** CODE_DIGITS)
+    .toString()
+    .padStart(CODE_DIGITS, "0");
+}
+
+/**
+ * Issue a new reset code for the CSO with this email, replacing any earlier
+ * one, and send it through the notifier. Unknown emails and repeat requests
+ * within the cooldown are ignored so callers cannot tell them apart.
+ */
+async function requestPasswordReset(email) {
+  const cso = await CSO.findOne({ email });
+
+  if (!cso) {
+    return { sent: false };
+  }
+
+  const existing = await PasswordResetCode.findOne({ cso: cso._id }).lean();
+
+  if (
+    existing &&
+    existing.expiresAt > new Date() &&
+    Date.now() - existing.updatedAt.getTime() < RESEND_COOLDOWN_MS
+  ) {
+    return { sent: false };
+  }
+
+  const code = generateCode();
+  const ttlMinutes = getCodeTtlMinutes();
+
+  await PasswordResetCode.findOneAndUpdate(
+    { cso: cso._id },
+    {
+      $set: {
+        codeHash: hashCode(code),
+        attempts: 0,
+        expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000),
+      },
+    },
+    { upsert: true, setDefaultsOnInsert: true }
+  );
+
+  await sendNotification({
+    to: { email: cso.email, phone: cso.phone },
+    subject: "Password reset code",
+    message: `Your password reset code is ${code}. It expires in ${ttlMinutes} minutes.`,
+  });
+
+  return { sent: true };
+}
+
+/**
+ * Check a reset code and, if it matches, set the new password. Returns the
+ * CSO on success or a reason: "invalid" for an unknown, expired or wrong
+ * code and "locked" once the attempt limit is used up.
+ */
+async function confirmPasswordReset(email, code, newPassword) {
+  const cso = await CSO.findOne({ email }).select("+password");
+  const record = cso ? await PasswordResetCode.findOne({ cso: cso._id }) : null;
+
+  if (!record || record.expiresAt <= new Date()) {
+    return { reason: "invalid" };
+  }
+
+  if (record.attempts >= getMaxAttempts()) {
+    await record.deleteOne();
+    return { reason: "locked" };
+  }
+
+  const expected = Buffer.from(record.codeHash, "hex");
+  const received = Buffer.from(hashCode(code), "hex");
+
+  if (!crypto.timingSafeEqual(expected, received)) {
+    record.attempts += 1;
+    await record.save();
+    return {
+      reason: record.attempts >= getMaxAttempts() ? "locked" : "invalid",
+    };
+  }
+
+  cso.password = newPassword;
+  await cso.save();
+  await record.deleteOne();
+
+  return { cso };
+}
+
+module.exports = {
+  requestPasswordReset,
+  confirmPasswordReset,
+};
@@ -0,0 +1,131 @@
+const PaymentAllocationSetting = require("../models/PaymentAllocationSetting");
+const { ALLOCATION_COMPONENTS } = require("../models/PaymentAllocationSetting");
+const { getOutstandingPenalty } = require("./penaltyService");
+const { toCurrencyNumber } = require("../utils/money");
+
+async function getAllocationOrder() {
+  const setting = await PaymentAllocationSetting.findOne({}).lean();
+  return Array.isArray(setting?.order) &&
+    setting.order.length === ALLOCATION_COMPONENTS.length
+    ? setting.order
+    : [...ALLOCATION_COMPONENTS];
+}
+
+function getLoanInterestTotal(loanDetails = {}) {
+  const interest = Number(loanDetails.interest);
+
+  if (Number.isFinite(interest)) {
+    return toCurrencyNumber(interest);
+  }
+
+  const amountToBePaid = Number(loanDetails.amountToBePaid) || 0;
+  const amountApproved = Number(loanDetails.amountApproved) || 0;
+
+  return amountApproved > 0
+    ? toCurrencyNumber(Math.max(0, amountToBePaid - amountApproved))
+    : 0;
+}
+
+/**
+ * Return the stored allocation of a payment. Payments recorded before the
+ * waterfall existed are split pro rata between interest and principal.
+ */
+function splitPayment(payment, loanDetails = {}) {
+  const amount = toCurrencyNumber(payment?.amount);
+
+  if (payment?.allocation) {
+    return {
+      penalty: toCurrencyNumber(payment.allocation.penalty),
+      interest: toCurrencyNumber(payment.allocation.interest),
+      principal: toCurrencyNumber(payment.allocation.principal),
+    };
+  }
+
+  const amountToBePaid = Number(loanDetails.amountToBePaid) || 0;
+  const interestShare =
+    amountToBePaid > 0 ? getLoanInterestTotal(loanDetails) / amountToBePaid : 0;
+  const interest = toCurrencyNumber(amount * interestShare);
+
+  return {
+    penalty: 0,
+    interest,
+    principal: toCurrencyNumber(amount - interest),
+  };
+}
+
+// Portion of a payment that reduces the loan balance (everything except
+// penalty), used for amountPaidSoFar and the repayment schedule.
+function getRepaymentPortion(payment) {
+  const amount = toCurrencyNumber(payment?.amount);
+  const penalty = toCurrencyNumber(payment?.allocation?.penalty);
+  return toCurrencyNumber(Math.max(0, amount - penalty));
+}
+
+function summarizeAllocations(loan) {
+  const loanDetails = loan?.loanDetails || {};
+  const payments = Array.isArray(loanDetails.dailyPayment)
+    ? loanDetails.dailyPayment
+    : [];
+
+  return payments.reduce(
+    (totals, payment) => {
+      const split = splitPayment(payment, loanDetails);
+      ALLOCATION_COMPONENTS.forEach((component) => {
+        totals[component] = toCurrencyNumber(
+          totals[component] + split[component]
+        );
+      });
+      return totals;
+    },
+    { penalty: 0, interest: 0, principal: 0 }
+  );
+}
+
+function getOutstandingComponents(loan) {
+  const loanDetails = loan?.loanDetails || {};
+  const interestTotal = getLoanInterestTotal(loanDetails);
+  const principalTotal = Math.max(
+    0,
+    (Number(loanDetails.amountToBePaid) || 0) - interestTotal
+  );
+  const paid = summarizeAllocations(loan);
+
+  return {
+    penalty: getOutstandingPenalty(loan),
+    interest: toCurrencyNumber(Math.max(0, interestTotal - paid.interest)),
+    principal: toCurrencyNumber(Math.max(0, principalTotal - paid.principal)),
+  };
+}
+
+/**
+ * Split a new payment across the loan's outstanding components following
+ * the configured order. Anything left after every component is settled is
+ * treated as principal.
+ */
+function allocatePayment(loan, amount, order = ALLOCATION_COMPONENTS) {
+  const outstanding = getOutstandingComponents(loan);
+  const allocation = { penalty: 0, interest: 0, principal: 0 };
+  let remaining = toCurrencyNumber(amount);
+
+  order.forEach((component) => {
+    const applied = Math.min(remaining, outstanding[component] || 0);
+    allocation[component] = toCurrencyNumber(applied);
+    remaining = toCurrencyNumber(remaining - applied);
+  });
+
+  if (remaining > 0) {
+    allocation.principal = toCurrencyNumber(allocation.principal + remaining);
+  }
+
+  return allocation;
+}
+
+module.exports = {
+  getAllocationOrder,
+  getLoanInterestTotal,
+  splitPayment,
+  getRepaymentPortion,
+  summarizeAllocations,
+  getOutstandingComponents,
+  allocatePayment,
+};
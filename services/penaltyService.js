@@ -0,0 +1,295 @@
+const Loan = require("../models/loan");
+const PenaltyRule = require("../models/PenaltyRule");
+const { recordAudit } = require("./auditLogService");
+const { toCurrencyNumber } = require("../utils/money");
+const { normalizeDate } = require("../utils/dates");
+
+const PENALTY_LOAN_STATUSES = ["active loan"];
+const AMOUNT_TOLERANCE = 0.01;
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+function formatDateKey(value) {
+  const date = normalizeDate(value);
+  return date ? date.toISOString().slice(0, 10) : null;
+}
+
+async function getPenaltyRules() {
+  const rules = await PenaltyRule.findOne({}).lean();
+  return rules || new PenaltyRule().toObject();
+}
+
+function sumPenaltyEntries(entries) {
+  return toCurrencyNumber(
+    (entries || []).reduce(
+      (total, entry) => total + (Number(entry?.amount) || 0),
+      0
+    )
+  );
+}
+
+function getOutstandingPenalty(loan) {
+  const charged = Number(loan?.loanDetails?.penalty) || 0;
+  const paid = Number(loan?.loanDetails?.penaltyPaid) || 0;
+  return toCurrencyNumber(Math.max(0, charged - paid));
+}
+
+// The first schedule entry is the disbursement day and holidays carry no
+// installment, so neither can be missed.
+function getPayableInstallments(schedule) {
+  return (schedule || [])
+    .map((entry) => ({ ...entry, date: normalizeDate(entry?.date) }))
+    .filter((entry) => entry.date)
+    .sort((first, second) => first.date - second.date)
+    .filter((entry, index) => index > 0 && entry.status !== "holiday");
+}
+
+function getLatestRestructuring(loan) {
+  const restructurings = Array.isArray(loan?.restructurings)
+    ? loan.restructurings
+    : [];
+
+  return restructurings.reduce(
+    (latest, entry) =>
+      !latest ||
+      new Date(entry.restructuredAt) > new Date(latest.restructuredAt)
+        ? entry
+        : latest,
+    null
+  );
+}
+
+/**
+ * The installments due by a date, each with the running total that should
+ * have been repaid by then, and what has been paid towards them. A
+ * restructured loan starts over from the balance it had on the day it was
+ * restructured, so earlier misses are not counted again.
+ */
+function getDueInstallments(loan, throughDate) {
+  const dailyAmount = Number(loan?.loanDetails?.dailyAmount) || 0;
+  const amountToBePaid = Number(loan?.loanDetails?.amountToBePaid) || 0;
+  let amountPaid = Number(loan?.loanDetails?.amountPaidSoFar) || 0;
+  let installments = getPayableInstallments(loan?.repaymentSchedule);
+  let expectedLimit = amountToBePaid || Infinity;
+
+  const restructuring = getLatestRestructuring(loan);
+
+  if (restructuring) {
+    const restructuredAt = normalizeDate(restructuring.restructuredAt);
+    installments = installments.filter(
+      (installment) => installment.date > restructuredAt
+    );
+    amountPaid -= amountToBePaid - restructuring.outstandingBalance;
+    expectedLimit = restructuring.outstandingBalance;
+  }
+
+  const due = [];
+  let expected = 0;
+
+  for (const installment of installments) {
+    if (installment.date > throughDate) {
+      break;
+    }
+
+    const amountDue = Number(installment.amountDue) || dailyAmount;
+    expected = Math.min(expected + amountDue, expectedLimit);
+    due.push({ date: installment.date, amountDue, expected });
+  }
+
+  return { installments: due, expected, amountPaid };
+}
+
+/**
+ * What an active loan should have repaid by asOf, what it has, and how many
+ * days its oldest unpaid installment has been overdue.
+ */
+function getLoanArrears(loan, asOfDate = new Date()) {
+  const asOf = normalizeDate(asOfDate);
+  const { installments, expected, amountPaid } = getDueInstallments(loan, asOf);
+  const overdueSince = installments.find(
+    (installment) => installment.expected - amountPaid > AMOUNT_TOLERANCE
+  )?.date;
+
+  return {
+    dueToDate: toCurrencyNumber(expected),
+    paidToDate: toCurrencyNumber(Math.max(0, Math.min(amountPaid, expected))),
+    arrears: toCurrencyNumber(Math.max(0, expected - amountPaid)),
+    daysOverdue: overdueSince
+      ? Math.round((asOf - overdueSince) / MS_PER_DAY)
+      : 0,
+  };
+}
+
+/**
+ * Work out the charges owed by a loan as of a date. Each installment is
+ * charged at most once, when it is still short after the grace period, so
+ * re-running the job for the same day never double-charges.
+ */
+function calculatePenaltyCharges(loan, rules, asOfDate = new Date()) {
+  const asOf = normalizeDate(asOfDate);
+  const dailyAmount = Number(loan?.loanDetails?.dailyAmount) || 0;
+
+  if (!rules?.isEnabled || !asOf || dailyAmount <= 0) {
+    return [];
+  }
+
+  const graceDays = Math.max(0, Number(rules.graceDays) || 0);
+  const cutoff = new Date(asOf);
+  cutoff.setUTCDate(cutoff.getUTCDate() - graceDays);
+  const effectiveFrom = normalizeDate(rules.effectiveFrom || 0);
+  const flat = Number(rules.flatPerMissedInstallment) || 0;
+  const percentage = Number(rules.percentageOfArrears) || 0;
+  const cap = Number.isFinite(rules.capAmount) ? rules.capAmount : null;
+
+  const existing = loan.penalties || [];
+  const chargedInstallments = new Set(
+    existing
+      .filter((entry) => entry.kind === "charge" && entry.installmentDate)
+      .map((entry) => formatDateKey(entry.installmentDate))
+  );
+  let totalCharged = sumPenaltyEntries(
+    existing.filter((entry) => entry.kind === "charge")
+  );
+
+  const charges = [];
+  const { installments, amountPaid } = getDueInstallments(loan, cutoff);
+
+  for (const { date, amountDue, expected } of installments) {
+    const shortfall = toCurrencyNumber(
+      Math.min(amountDue, expected - amountPaid)
+    );
+    const key = formatDateKey(date);
+
+    if (
+      shortfall <= AMOUNT_TOLERANCE ||
+      (effectiveFrom && date < effectiveFrom) ||
+      chargedInstallments.has(key)
+    ) {
+      continue;
+    }
+
+    let amount = toCurrencyNumber(flat + shortfall * percentage);
+
+    if (cap !== null) {
+      amount = toCurrencyNumber(Math.min(amount, cap - totalCharged));
+    }
+
+    if (amount <= 0) {
+      continue;
+    }
+
+    totalCharged = toCurrencyNumber(totalCharged + amount);
+    charges.push({
+      kind: "charge",
+      amount,
+      date: asOf,
+      installmentDate: date,
+      arrears: shortfall,
+      reason: `Missed installment due ${key}`,
+      recordedBy: { type: "system", id: null, name: "Penalty job" },
+    });
+  }
+
+  return charges;
+}
+
+async function applyPenalties({ asOfDate = new Date() } = {}) {
+  const rules = await getPenaltyRules();
+  const summary = {
+    asOf: formatDateKey(asOfDate),
+    enabled: Boolean(rules.isEnabled),
+    processed: 0,
+    charged: 0,
+    totalAmount: 0,
+    errors: [],
+  };
+
+  if (!rules.isEnabled) {
+    return summary;
+  }
+
+  const cursor = Loan.find({
+    status: { $in: PENALTY_LOAN_STATUSES },
+    "loanDetails.dailyAmount": { $gt: 0 },
+  })
+    .select("loanId loanDetails repaymentSchedule penalties restructurings")
+    .lean()
+    .cursor();
+
+  for await (const loan of cursor) {
+    summary.processed += 1;
+
+    try {
+      const charges = calculatePenaltyCharges(loan, rules, asOfDate);
+
+      if (charges.length === 0) {
+        continue;
+      }
+
+      const amount = sumPenaltyEntries(charges);
+
+      // Skipped if a run going on at the same time has already charged any
+      // of these installments
+      const result = await Loan.updateOne(
+        {
+          _id: loan._id,
+          penalties: {
+            $not: {
+              $elemMatch: {
+                kind: "charge",
+                installmentDate: {
+                  $in: charges.map((charge) => charge.installmentDate),
+                },
+              },
+            },
+          },
+        },
+        {
+          $push: { penalties: { $each: charges } },
+          $inc: { "loanDetails.penalty": amount },
+        }
+      );
+
+      if (result.modifiedCount === 0) {
+        continue;
+      }
+
+      await recordAudit(null, {
+        action: "loan.penalty-charge",
+        entityType: "Loan",
+        entityId: loan._id,
+        entityLabel: loan.loanId,
+        before: { loanDetails: { penalty: loan.loanDetails?.penalty || 0 } },
+        after: {
+          loanDetails: {
+            penalty: toCurrencyNumber(
+              (loan.loanDetails?.penalty || 0) + amount
+            ),
+          },
+        },
+        metadata: {
+          installments: charges.map((charge) =>
+            formatDateKey(charge.installmentDate)
+          ),
+        },
+      });
+
+      summary.charged += 1;
+      summary.totalAmount = toCurrencyNumber(summary.totalAmount + amount);
+    } catch (error) {
+      summary.errors.push({ loanId: loan.loanId, message: error.message });
+    }
+  }
+
+  return summary;
+}
+
+module.exports = {
+  getPenaltyRules,
+  getOutstandingPenalty,
+  sumPenaltyEntries,
+  getLatestRestructuring,
+  getPayableInstallments,
+  getLoanArrears,
+  calculatePenaltyCharges,
+  applyPenalties,
+};
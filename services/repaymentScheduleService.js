@@ -0,0 +1,153 @@
+const { getInstallmentCount } = require("./loanProductService");
+const { normalizeDate } = require("../utils/dates");
+
+function isWeekend(date) {
+  const day = date.getUTCDay();
+  return day === 6 || day === 0;
+}
+
+// Daily schedules open with the disbursement day followed by one working day
+// per installment, so they hold installmentCount + 1 entries.
+function generateDailyRepaymentSchedule(startDate, installmentCount) {
+  const schedule = [];
+  let cursor = new Date(startDate);
+
+  while (schedule.length < installmentCount + 1) {
+    if (!isWeekend(cursor)) {
+      schedule.push({
+        date: new Date(cursor),
+        status: schedule.length === 0 ? "approved" : "pending",
+        amountPaid: 0,
+      });
+    }
+
+    cursor = new Date(cursor);
+    cursor.setDate(cursor.getDate() + 1);
+  }
+
+  return schedule;
+}
+
+// Schedules are stored at UTC midnight, so dates move on the UTC calendar.
+// Monthly dates keep the start's day of the month, falling back to the last
+// day of a shorter month (Jan 31 gives Feb 28, then Mar 31). Count periods
+// from the start rather than chaining single steps so they do not drift.
+function advanceByFrequency(date, frequency, periods = 1) {
+  const next = new Date(date);
+
+  if (frequency === "monthly") {
+    const day = next.getUTCDate();
+    next.setUTCDate(1);
+    next.setUTCMonth(next.getUTCMonth() + periods);
+    const lastDay = new Date(
+      Date.UTC(next.getUTCFullYear(), next.getUTCMonth() + 1, 0)
+    ).getUTCDate();
+    next.setUTCDate(Math.min(day, lastDay));
+  } else if (frequency === "biweekly") {
+    next.setUTCDate(next.getUTCDate() + 14 * periods);
+  } else {
+    next.setUTCDate(next.getUTCDate() + 7 * periods);
+  }
+
+  return next;
+}
+
+function generatePeriodicRepaymentSchedule(
+  startDate,
+  installmentCount,
+  frequency
+) {
+  const schedule = [];
+
+  for (let installment = 0; installment < installmentCount; installment += 1) {
+    schedule.push({
+      date: advanceByFrequency(startDate, frequency, installment),
+      status: installment === 0 ? "approved" : "pending",
+      amountPaid: 0,
+    });
+  }
+
+  return schedule;
+}
+
+function generateInstallmentDates(startDate, installmentCount, frequency) {
+  const dates = [];
+  const start = normalizeDate(startDate);
+  let cursor = start && new Date(start);
+
+  while (cursor && dates.length < installmentCount) {
+    if (frequency !== "daily") {
+      dates.push(advanceByFrequency(start, frequency, dates.length));
+      continue;
+    }
+
+    if (!isWeekend(cursor)) {
+      dates.push(new Date(cursor));
+    }
+
+    cursor.setUTCDate(cursor.getUTCDate() + 1);
+  }
+
+  return dates;
+}
+
+function applyRestructurings(schedule, frequency, restructurings) {
+  const ordered = [...restructurings].sort(
+    (first, second) =>
+      new Date(first.restructuredAt) - new Date(second.restructuredAt)
+  );
+  let result = schedule.map((entry) => ({
+    ...entry,
+    amountDue: ordered[0].previousInstallmentAmount,
+  }));
+
+  ordered.forEach((restructuring) => {
+    const cutoff = normalizeDate(restructuring.restructuredAt);
+    result = result.filter((entry) => normalizeDate(entry.date) <= cutoff);
+
+    generateInstallmentDates(
+      restructuring.resumeDate,
+      restructuring.installmentCount,
+      frequency
+    ).forEach((date) => {
+      result.push({
+        date,
+        status: "pending",
+        amountPaid: 0,
+        amountDue: restructuring.installmentAmount,
+      });
+    });
+  });
+
+  return result;
+}
+
+function generateRepaymentSchedule(
+  startDate,
+  loanDetails = {},
+  restructurings = []
+) {
+  const installmentCount = getInstallmentCount(loanDetails);
+  const frequency = loanDetails.loanType || "daily";
+  const schedule =
+    frequency !== "daily"
+      ? generatePeriodicRepaymentSchedule(
+          startDate,
+          installmentCount,
+          frequency
+        )
+      : generateDailyRepaymentSchedule(startDate, installmentCount);
+
+  if (!Array.isArray(restructurings) || restructurings.length === 0) {
+    return schedule;
+  }
+
+  return applyRestructurings(schedule, frequency, restructurings);
+}
+
+module.exports = {
+  isWeekend,
+  advanceByFrequency,
+  generateInstallmentDates,
+  generateRepaymentSchedule,
+};
@@ -0,0 +1,242 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const Admin = require("../models/Admin");
+const AdminMember = require("../models/adminPanel");
+const CSO = require("../models/cso");
+const Session = require("../models/Session");
+const jwtSecret = require("../config/jwtSecret");
+
+const DEFAULT_ACCESS_TOKEN_TTL_MINUTES = 15;
+const DEFAULT_REFRESH_TOKEN_TTL_DAYS = 30;
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+const ACCOUNT_MODELS = {
+  cso: CSO,
+  admin: Admin,
+  "admin-member": AdminMember,
+};
+
+function getAccessTokenTtlMinutes() {
+  const minutes = Number(process.env.ACCESS_TOKEN_TTL_MINUTES);
+  return Number.isFinite(minutes) && minutes > 0
+    ? minutes
+    : DEFAULT_ACCESS_TOKEN_TTL_MINUTES;
+}
+
+function getRefreshTokenTtlDays() {
+  const days = Number(process.env.REFRESH_TOKEN_TTL_DAYS);
+  return Number.isFinite(days) && days > 0
+    ? days
+    : DEFAULT_REFRESH_TOKEN_TTL_DAYS;
+}
+
+function hashSecret(secret) {
+  return crypto.createHash("sha256").update(String(secret)).digest("hex");
+}
+
+function getRefreshExpiry() {
+  return new Date(Date.now() + getRefreshTokenTtlDays() * MS_PER_DAY);
+}
+
+// Why an account may not hold a session, or null if it may.
+function getAccountBlockReason(accountType, account) {
+  if (accountType === "cso" && account.isActive === false) {
+    return "Account is deactivated";
+  }
+
+  if (accountType === "admin-member" && account.isSuspended) {
+    return "Account is suspended";
+  }
+
+  return null;
+}
+
+function issueTokens(session, secret, account) {
+  const ttlMinutes = getAccessTokenTtlMinutes();
+  const claims = {
+    id: account._id,
+    email: account.email,
+    type: session.accountType,
+    sid: session._id,
+  };
+
+  if (session.accountType === "admin-member") {
+    claims.role = account.assignedRole;
+  }
+
+  return {
+    token: jwt.sign(claims, jwtSecret, { expiresIn: ttlMinutes * 60 }),
+    refreshToken: `${session._id}.${secret}`,
+    expiresIn: ttlMinutes * 60,
+  };
+}
+
+/**
+ * Start a session for an account that has just proved who it is and return
+ * a short-lived access token with the refresh token that renews it.
+ */
+async function createSession(req, accountType, account) {
+  const secret = crypto.randomBytes(32).toString("hex");
+  const session = await Session.create({
+    accountType,
+    accountId: account._id,
+    refreshTokenHash: hashSecret(secret),
+    expiresAt: getRefreshExpiry(),
+    lastUsedAt: new Date(),
+    ipAddress: req?.ip,
+    userAgent: req?.get?.("User-Agent"),
+  });
+
+  return issueTokens(session, secret, account);
+}
+
+async function revokeSession(sessionId, reason = "logout") {
+  const result = await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount || 0;
+}
+
+// End every live session an account holds, optionally keeping one (the
+// device that made the change).
+async function revokeAccountSessions(
+  accountType,
+  accountId,
+  reason,
+  { exceptSessionId } = {}
+) {
+  const result = await Session.updateMany(
+    {
+      accountType,
+      accountId,
+      revokedAt: null,
+      ...(exceptSessionId ? { _id: { $ne: exceptSessionId } } : {}),
+    },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount || 0;
+}
+
+async function revokeAllSessionsForSession(sessionId, reason = "logout-all") {
+  const session = await Session.findById(sessionId).lean();
+
+  if (!session) {
+    return 0;
+  }
+
+  return revokeAccountSessions(session.accountType, session.accountId, reason);
+}
+
+/**
+ * Swap a refresh token for a new access and refresh token. A token that
+ * was already rotated away is treated as stolen and ends its session.
+ * Returns { tokens, session, account } or { reason, message }.
+ */
+async function refreshSession(refreshToken, accountTypes) {
+  const [sessionId, secret] = String(refreshToken || "").split(".");
+
+  if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) {
+    return { reason: "invalid" };
+  }
+
+  const session = await Session.findById(sessionId);
+
+  if (
+    !session ||
+    !accountTypes.includes(session.accountType) ||
+    session.revokedAt ||
+    session.expiresAt <= new Date()
+  ) {
+    return { reason: "invalid" };
+  }
+
+  const expected = Buffer.from(session.refreshTokenHash, "hex");
+  const received = Buffer.from(hashSecret(secret), "hex");
+
+  if (!crypto.timingSafeEqual(expected, received)) {
+    await revokeSession(session._id, "refresh-token-reuse");
+    return { reason: "invalid" };
+  }
+
+  const account = await ACCOUNT_MODELS[session.accountType].findById(
+    session.accountId
+  );
+
+  if (!account) {
+    await revokeSession(session._id, "account-removed");
+    return { reason: "invalid" };
+  }
+
+  const blockReason = getAccountBlockReason(session.accountType, account);
+
+  if (blockReason) {
+    await revokeSession(session._id, "account-blocked");
+    return { reason: "blocked", message: blockReason };
+  }
+
+  const nextSecret = crypto.randomBytes(32).toString("hex");
+  // Conditional on the old hash so two refreshes racing with the same token
+  // cannot both succeed.
+  const rotated = await Session.findOneAndUpdate(
+    {
+      _id: session._id,
+      refreshTokenHash: session.refreshTokenHash,
+      revokedAt: null,
+    },
+    {
+      $set: {
+        refreshTokenHash: hashSecret(nextSecret),
+        expiresAt: getRefreshExpiry(),
+        lastUsedAt: new Date(),
+      },
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    return { reason: "invalid" };
+  }
+
+  return {
+    tokens: issueTokens(rotated, nextSecret, account),
+    session: rotated,
+    account,
+  };
+}
+
+/**
+ * Decode an access token and confirm its session is still live. Returns
+ * null when the session was revoked or has lapsed; a bad or expired token
+ * throws the usual jsonwebtoken errors.
+ */
+async function verifyAccessToken(token) {
+  const payload = jwt.verify(token, jwtSecret);
+
+  if (!payload.sid || !mongoose.Types.ObjectId.isValid(payload.sid)) {
+    return null;
+  }
+
+  const isActive = await Session.exists({
+    _id: payload.sid,
+    accountType: payload.type,
+    accountId: payload.id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+
+  return isActive ? payload : null;
+}
+
+module.exports = {
+  getAccessTokenTtlMinutes,
+  getRefreshTokenTtlDays,
+  getAccountBlockReason,
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeAccountSessions,
+  revokeAllSessionsForSession,
+  verifyAccessToken,
+};
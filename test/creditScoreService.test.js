@@ -0,0 +1,80 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  getInstallmentDelays,
+  buildCreditScore,
+} = require("../services/creditScoreService");
+
+const AS_OF = new Date("2026-03-06");
+
+// Disbursed on March 1st with five daily installments of 1,000 from the 2nd
+function buildLoan({ status = "active loan", payments = [] } = {}) {
+  return {
+    status,
+    loanDetails: {
+      dailyAmount: 1000,
+      amountApproved: 4000,
+      amountToBePaid: 5000,
+      penalty: 0,
+      dailyPayment: payments.map(([date, amount]) => ({
+        date: new Date(date),
+        amount,
+      })),
+    },
+    repaymentSchedule: Array.from({ length: 6 }, (_, day) => ({
+      date: new Date(Date.UTC(2026, 2, day + 1)),
+      status: "pending",
+    })),
+  };
+}
+
+test("an installment is late until repayments cover everything due", () => {
+  const loan = buildLoan({
+    payments: [
+      ["2026-03-02", 1000],
+      ["2026-03-05", 1000],
+    ],
+  });
+
+  assert.deepEqual(
+    getInstallmentDelays(loan, AS_OF).map((delay) => delay.daysLate),
+    [0, 2, 2, 1, 0]
+  );
+});
+
+test("a customer with no disbursed loan has no score", () => {
+  assert.deepEqual(
+    buildCreditScore([{ status: "waiting for approval" }], AS_OF),
+    {
+      score: null,
+      band: "new",
+      recommendedMaxAmount: null,
+      factors: { loansScored: 0 },
+    }
+  );
+});
+
+test("a loan repaid on time scores well and raises the recommendation", () => {
+  const loan = buildLoan({
+    status: "fully paid",
+    payments: [2, 3, 4, 5, 6].map((day) => [`2026-03-0${day}`, 1000]),
+  });
+  const result = buildCreditScore([loan], AS_OF);
+
+  assert.equal(result.score, 85);
+  assert.equal(result.band, "excellent");
+  assert.equal(result.recommendedMaxAmount, 6000);
+  assert.equal(result.factors.onTimeRate, 1);
+});
+
+test("a write-off leaves the customer with no recommendation", () => {
+  const result = buildCreditScore(
+    [buildLoan({ status: "written off" })],
+    AS_OF
+  );
+
+  assert.equal(result.score, 9);
+  assert.equal(result.band, "very poor");
+  assert.equal(result.recommendedMaxAmount, null);
+  assert.equal(result.factors.writeOffs, 1);
+});
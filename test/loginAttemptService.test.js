@@ -0,0 +1,136 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const LoginAttempt = require("../models/LoginAttempt");
+const {
+  getAttemptKeys,
+  getRetryAt,
+  getAttemptBlock,
+  reserveAttempt,
+  releaseAttempt,
+  clearAccountAttempts,
+} = require("../services/loginAttemptService");
+
+const { mock } = test;
+const NOW = new Date("2026-03-06T10:00:00Z");
+
+function secondsFromNow(seconds) {
+  return new Date(Date.now() + seconds * 1000);
+}
+
+function mockStoredAttempts(attempts) {
+  return mock.method(LoginAttempt, "find", () => ({
+    lean: async () => attempts,
+  }));
+}
+
+test.afterEach(() => {
+  mock.restoreAll();
+});
+
+test("attempts are keyed by the normalized account and the IP", () => {
+  assert.deepEqual(
+    getAttemptKeys("cso-login", "  Ada@Example.com ", "10.0.0.1").map(
+      (entry) => entry.key
+    ),
+    ["cso-login:account:ada@example.com", "cso-login:ip:10.0.0.1"]
+  );
+  assert.deepEqual(
+    getAttemptKeys("cso-login", "", "10.0.0.1").map((entry) => entry.scope),
+    ["ip"]
+  );
+});
+
+test("the retry time is the later of the delay and the lockout", () => {
+  const lockedUntil = new Date("2026-03-06T10:15:00Z");
+
+  assert.equal(
+    getRetryAt(
+      { lockedUntil, nextAttemptAt: new Date("2026-03-06T10:00:30Z") },
+      NOW
+    ),
+    lockedUntil
+  );
+  assert.equal(
+    getRetryAt({ nextAttemptAt: new Date("2026-03-06T09:59:00Z") }, NOW),
+    null
+  );
+});
+
+test("the longest wait across counters blocks the attempt", async () => {
+  mockStoredAttempts([
+    { nextAttemptAt: secondsFromNow(4) },
+    { lockedUntil: secondsFromNow(900), nextAttemptAt: secondsFromNow(900) },
+  ]);
+
+  const block = await getAttemptBlock(getAttemptKeys("login", "ada", "ip"));
+
+  assert.equal(block.locked, true);
+  assert.ok(block.retryAfter > 890 && block.retryAfter <= 900);
+});
+
+test("an attempt with nothing blocking it is reserved on every counter", async () => {
+  mockStoredAttempts([]);
+  const ensured = mock.method(LoginAttempt, "updateOne", async () => ({}));
+  const reserved = mock.method(
+    LoginAttempt,
+    "findOneAndUpdate",
+    async () => ({})
+  );
+
+  const block = await reserveAttempt(getAttemptKeys("login", "ada", "ip"));
+
+  assert.equal(block, null);
+  assert.equal(ensured.mock.callCount(), 2);
+  assert.equal(reserved.mock.callCount(), 2);
+});
+
+test("a blocked attempt is not counted again", async () => {
+  mockStoredAttempts([{ nextAttemptAt: secondsFromNow(8) }]);
+  const reserved = mock.method(LoginAttempt, "findOneAndUpdate");
+
+  const block = await reserveAttempt(getAttemptKeys("login", "ada", "ip"));
+
+  assert.equal(block.locked, false);
+  assert.equal(reserved.mock.callCount(), 0);
+});
+
+test("an attempt beaten to a counter by a parallel request waits", async () => {
+  mockStoredAttempts([]);
+  mock.method(LoginAttempt, "updateOne", async () => ({}));
+  mock.method(LoginAttempt, "findOneAndUpdate", async () => null);
+
+  assert.deepEqual(await reserveAttempt(getAttemptKeys("login", "ada", "ip")), {
+    retryAfter: 1,
+    locked: false,
+  });
+});
+
+test("a successful sign-in clears the account and gives back the IP attempt", async () => {
+  const deleted = mock.method(LoginAttempt, "deleteMany", async () => ({}));
+  const updated = mock.method(LoginAttempt, "updateOne", async () => ({
+    matchedCount: 0,
+  }));
+
+  await releaseAttempt(getAttemptKeys("login", "ada", "ip"), NOW);
+
+  assert.deepEqual(deleted.mock.calls[0].arguments[0], {
+    key: { $in: ["login:account:ada"] },
+  });
+  assert.deepEqual(
+    updated.mock.calls.map((call) => call.arguments[0]),
+    [
+      { key: "login:ip:ip", lastFailureAt: NOW, failures: { $gt: 0 } },
+      { key: "login:ip:ip", failures: { $gt: 0 } },
+    ]
+  );
+});
+
+test("clearing an account leaves the IP counter alone", async () => {
+  const deleted = mock.method(LoginAttempt, "deleteMany", async () => ({}));
+
+  await clearAccountAttempts("cso-login", "Ada@Example.com");
+
+  assert.deepEqual(deleted.mock.calls[0].arguments[0], {
+    key: { $in: ["cso-login:account:ada@example.com"] },
+  });
+});
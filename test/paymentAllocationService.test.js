@@ -0,0 +1,98 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  getLoanInterestTotal,
+  splitPayment,
+  getRepaymentPortion,
+  getOutstandingComponents,
+  allocatePayment,
+} = require("../services/paymentAllocationService");
+
+function buildLoan({ payments = [], penalty = 0, penaltyPaid = 0 } = {}) {
+  return {
+    loanDetails: {
+      amountApproved: 10000,
+      interest: 2000,
+      amountToBePaid: 12000,
+      penalty,
+      penaltyPaid,
+      dailyPayment: payments,
+    },
+  };
+}
+
+test("interest falls back to the amount owed above the approved amount", () => {
+  assert.equal(getLoanInterestTotal({ interest: 1500.005 }), 1500.01);
+  assert.equal(
+    getLoanInterestTotal({ amountToBePaid: 13000, amountApproved: 10000 }),
+    3000
+  );
+  assert.equal(getLoanInterestTotal({ amountToBePaid: 13000 }), 0);
+});
+
+test("payments without an allocation are split pro rata", () => {
+  const split = splitPayment({ amount: 1200 }, buildLoan().loanDetails);
+
+  assert.deepEqual(split, { penalty: 0, interest: 200, principal: 1000 });
+});
+
+test("a stored allocation is returned as recorded", () => {
+  const split = splitPayment(
+    { amount: 500, allocation: { penalty: 100, interest: 400, principal: 0 } },
+    buildLoan().loanDetails
+  );
+
+  assert.deepEqual(split, { penalty: 100, interest: 400, principal: 0 });
+});
+
+test("the penalty part of a payment does not reduce the balance", () => {
+  assert.equal(
+    getRepaymentPortion({ amount: 500, allocation: { penalty: 150 } }),
+    350
+  );
+  assert.equal(getRepaymentPortion({ amount: 500 }), 500);
+});
+
+test("outstanding components net off earlier payments", () => {
+  const loan = buildLoan({
+    penalty: 300,
+    penaltyPaid: 100,
+    payments: [
+      { amount: 1200 },
+      {
+        amount: 700,
+        allocation: { penalty: 100, interest: 600, principal: 0 },
+      },
+    ],
+  });
+
+  assert.deepEqual(getOutstandingComponents(loan), {
+    penalty: 200,
+    interest: 1200,
+    principal: 9000,
+  });
+});
+
+test("a payment follows the configured order", () => {
+  const loan = buildLoan({ penalty: 300 });
+
+  assert.deepEqual(allocatePayment(loan, 2500), {
+    penalty: 300,
+    interest: 2000,
+    principal: 200,
+  });
+  assert.deepEqual(
+    allocatePayment(loan, 2500, ["principal", "interest", "penalty"]),
+    { penalty: 0, interest: 0, principal: 2500 }
+  );
+});
+
+test("anything left once the loan is settled goes to principal", () => {
+  const loan = buildLoan({ penalty: 100 });
+
+  assert.deepEqual(allocatePayment(loan, 12500), {
+    penalty: 100,
+    interest: 2000,
+    principal: 10400,
+  });
+});
@@ -0,0 +1,169 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  getOutstandingPenalty,
+  sumPenaltyEntries,
+  getPayableInstallments,
+  getLoanArrears,
+  calculatePenaltyCharges,
+} = require("../services/penaltyService");
+
+const RULES = {
+  isEnabled: true,
+  graceDays: 0,
+  flatPerMissedInstallment: 100,
+  percentageOfArrears: 0.1,
+  capAmount: null,
+};
+
+// Disbursed on March 1st with ten daily installments of 1,000 from the 2nd
+function buildLoan(overrides = {}) {
+  const repaymentSchedule = Array.from({ length: 11 }, (_, day) => ({
+    date: new Date(Date.UTC(2026, 2, day + 1)),
+    status: "pending",
+  }));
+
+  return {
+    loanDetails: {
+      dailyAmount: 1000,
+      amountToBePaid: 10000,
+      amountPaidSoFar: 2500,
+      ...overrides.loanDetails,
+    },
+    repaymentSchedule,
+    penalties: overrides.penalties || [],
+    restructurings: overrides.restructurings || [],
+  };
+}
+
+function chargedDates(charges) {
+  return charges.map((charge) =>
+    charge.installmentDate.toISOString().slice(0, 10)
+  );
+}
+
+test("penalty totals and the outstanding penalty", () => {
+  assert.equal(sumPenaltyEntries([{ amount: 100.1 }, { amount: 50.2 }]), 150.3);
+  assert.equal(
+    getOutstandingPenalty({ loanDetails: { penalty: 300, penaltyPaid: 120 } }),
+    180
+  );
+  assert.equal(
+    getOutstandingPenalty({ loanDetails: { penalty: 100, penaltyPaid: 150 } }),
+    0
+  );
+});
+
+test("the disbursement day and holidays are not payable", () => {
+  const installments = getPayableInstallments([
+    { date: "2026-03-03", status: "pending" },
+    { date: "2026-03-01", status: "approved" },
+    { date: "2026-03-02", status: "holiday" },
+    { date: "2026-03-04", status: "pending" },
+  ]);
+
+  assert.deepEqual(
+    installments.map((entry) => entry.date.toISOString().slice(0, 10)),
+    ["2026-03-03", "2026-03-04"]
+  );
+});
+
+test("arrears count from the oldest installment left short", () => {
+  assert.deepEqual(getLoanArrears(buildLoan(), new Date("2026-03-05")), {
+    dueToDate: 4000,
+    paidToDate: 2500,
+    arrears: 1500,
+    daysOverdue: 1,
+  });
+});
+
+test("each short installment is charged a flat fee and a share of arrears", () => {
+  const charges = calculatePenaltyCharges(
+    buildLoan(),
+    RULES,
+    new Date("2026-03-05")
+  );
+
+  assert.deepEqual(chargedDates(charges), ["2026-03-04", "2026-03-05"]);
+  assert.deepEqual(
+    charges.map((charge) => [charge.arrears, charge.amount]),
+    [
+      [500, 150],
+      [1000, 200],
+    ]
+  );
+});
+
+test("no charges while penalties are disabled", () => {
+  assert.deepEqual(
+    calculatePenaltyCharges(
+      buildLoan(),
+      { ...RULES, isEnabled: false },
+      new Date("2026-03-05")
+    ),
+    []
+  );
+});
+
+test("installments inside the grace period are not charged yet", () => {
+  const charges = calculatePenaltyCharges(
+    buildLoan(),
+    { ...RULES, graceDays: 1 },
+    new Date("2026-03-05")
+  );
+
+  assert.deepEqual(chargedDates(charges), ["2026-03-04"]);
+});
+
+test("an installment is never charged twice", () => {
+  const loan = buildLoan({
+    penalties: [
+      {
+        kind: "charge",
+        amount: 150,
+        installmentDate: new Date("2026-03-04"),
+      },
+    ],
+  });
+  const charges = calculatePenaltyCharges(loan, RULES, new Date("2026-03-05"));
+
+  assert.deepEqual(chargedDates(charges), ["2026-03-05"]);
+});
+
+test("charges stop at the cap", () => {
+  const charges = calculatePenaltyCharges(
+    buildLoan(),
+    { ...RULES, capAmount: 250 },
+    new Date("2026-03-06")
+  );
+
+  assert.deepEqual(
+    charges.map((charge) => charge.amount),
+    [150, 100]
+  );
+});
+
+test("installments before the rules took effect are not charged", () => {
+  const charges = calculatePenaltyCharges(
+    buildLoan(),
+    { ...RULES, effectiveFrom: new Date("2026-03-05") },
+    new Date("2026-03-05")
+  );
+
+  assert.deepEqual(chargedDates(charges), ["2026-03-05"]);
+});
+
+test("a restructured loan starts over from its balance on the day", () => {
+  const loan = buildLoan({
+    loanDetails: { amountPaidSoFar: 3000 },
+    restructurings: [
+      { restructuredAt: new Date("2026-03-05"), outstandingBalance: 8000 },
+    ],
+  });
+
+  // The 1,000 paid since the restructuring covers the 6th but not the 7th
+  assert.deepEqual(
+    chargedDates(calculatePenaltyCharges(loan, RULES, new Date("2026-03-07"))),
+    ["2026-03-07"]
+  );
+});
@@ -0,0 +1,104 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  advanceByFrequency,
+  generateInstallmentDates,
+  generateRepaymentSchedule,
+} = require("../services/repaymentScheduleService");
+
+function formatDates(entries) {
+  return entries.map((entry) =>
+    (entry.date || entry).toISOString().slice(0, 10)
+  );
+}
+
+// Friday
+const START = new Date("2026-03-06");
+
+test("a daily schedule opens on disbursement and skips weekends", () => {
+  const schedule = generateRepaymentSchedule(START, {
+    loanType: "daily",
+    installmentCount: 3,
+  });
+
+  assert.deepEqual(formatDates(schedule), [
+    "2026-03-06",
+    "2026-03-09",
+    "2026-03-10",
+    "2026-03-11",
+  ]);
+  assert.deepEqual(
+    schedule.map((entry) => entry.status),
+    ["approved", "pending", "pending", "pending"]
+  );
+});
+
+test("weekly and biweekly installments are a fixed number of days apart", () => {
+  assert.deepEqual(
+    formatDates([
+      advanceByFrequency(START, "weekly"),
+      advanceByFrequency(START, "biweekly"),
+      advanceByFrequency(START, "biweekly", 2),
+    ]),
+    ["2026-03-13", "2026-03-20", "2026-04-03"]
+  );
+});
+
+test("monthly installments fall back to the end of a shorter month", () => {
+  const schedule = generateRepaymentSchedule(new Date("2026-01-31"), {
+    loanType: "monthly",
+    installmentCount: 4,
+  });
+
+  assert.deepEqual(formatDates(schedule), [
+    "2026-01-31",
+    "2026-02-28",
+    "2026-03-31",
+    "2026-04-30",
+  ]);
+});
+
+test("restructured daily installments skip weekends", () => {
+  assert.deepEqual(formatDates(generateInstallmentDates(START, 3, "daily")), [
+    "2026-03-06",
+    "2026-03-09",
+    "2026-03-10",
+  ]);
+});
+
+test("restructurings replace the schedule after each cutoff in order", () => {
+  const schedule = generateRepaymentSchedule(
+    START,
+    { loanType: "daily", installmentCount: 5 },
+    [
+      {
+        restructuredAt: new Date("2026-03-12"),
+        resumeDate: new Date("2026-03-16"),
+        installmentCount: 1,
+        installmentAmount: 1000,
+        previousInstallmentAmount: 500,
+      },
+      {
+        restructuredAt: new Date("2026-03-10"),
+        resumeDate: new Date("2026-03-12"),
+        installmentCount: 2,
+        installmentAmount: 500,
+        previousInstallmentAmount: 800,
+      },
+    ]
+  );
+
+  assert.deepEqual(
+    schedule.map((entry) => [
+      entry.date.toISOString().slice(0, 10),
+      entry.amountDue,
+    ]),
+    [
+      ["2026-03-06", 800],
+      ["2026-03-09", 800],
+      ["2026-03-10", 800],
+      ["2026-03-12", 500],
+      ["2026-03-16", 1000],
+    ]
+  );
+});
@@ -0,0 +1,16 @@
+// Start of the day in UTC, or null for an invalid date. Repayment schedules
+// are stored at UTC midnight.
+function normalizeDate(value) {
+  const date = new Date(value);
+
+  if (Number.isNaN(date.getTime())) {
+    return null;
+  }
+
+  date.setUTCHours(0, 0, 0, 0);
+  return date;
+}
+
+module.exports = {
+  normalizeDate,
+};
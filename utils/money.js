@@ -0,0 +1,14 @@
+// Round to kobo; anything that is not a finite number counts as 0
+function toCurrencyNumber(value) {
+  const number = Number(value);
+
+  if (!Number.isFinite(number)) {
+    return 0;
+  }
+
+  return Number(number.toFixed(2));
+}
+
+module.exports = {
+  toCurrencyNumber,
+};